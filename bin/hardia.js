@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// Cliente de linha de comando do HardIA: verifica perfis de hardware pela API de análise do servidor,
+// para o suporte checar máquinas de clientes sem passar pelo questionário. Veja `hardia help`
+
+const fs = require("fs/promises");
+const path = require("path");
+const { parseArgs } = require("util");
+const YAML = require("yaml");
+const { specsToAnswers, toGb } = require("../server/api/specs");
+
+const DEFAULT_SERVER = "http://localhost:3000";
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Códigos de saída; com vários perfis vale o pior resultado, na ordem de EXIT_PRIORITY
+const EXIT_CODES = { compatible: 0, incompatible: 1, error: 2, unknown: 3 };
+const EXIT_PRIORITY = ["error", "incompatible", "unknown", "compatible"];
+
+const HARDWARE_OPTIONS = ["os", "cpu", "gpu", "ram", "storage", "vram"];
+const COMPONENT_LABELS = { os: "SO", cpu: "CPU", gpu: "GPU", ram: "RAM", storage: "Disco" };
+const STATUS_LABELS = { pass: "ok", fail: "insuficiente", unknown: "?" };
+const VERDICT_LABELS = { compatible: "Compatível", incompatible: "Incompatível", unknown: "Inconclusivo", error: "Erro" };
+
+const USAGE = `Uso: hardia check [arquivo...] [opções]
+
+Verifica a compatibilidade de um ou mais perfis de hardware com um software.
+Os perfis vêm das opções ou de arquivos JSON/YAML (um perfil, uma lista ou { "profiles": [...] });
+as opções de hardware e --software se sobrepõem aos arquivos.
+
+Hardware:
+  --os <texto>          Sistema operacional (ex.: linux, "Windows 10", macos)
+  --cpu <modelo>        Processador (ex.: "Ryzen 5 5600")
+  --gpu <modelo>        Placa de vídeo (ex.: "RTX 3060")
+  --ram <tamanho>       Memória (ex.: 16 ou 16GB)
+  --storage <tamanho>   Espaço livre em disco (ex.: 200 ou 1TB)
+  --vram <tamanho>      Memória da placa de vídeo dedicada (opcional)
+  --software <título>   Jogo ou programa; repita para verificar vários títulos
+
+Saída e servidor:
+  --json                Resultado em JSON, em vez da tabela
+  --lang <idioma>       Idioma da análise: pt-BR, en ou es
+  --server <url>        Servidor do HardIA (padrão: $HARDIA_URL ou ${DEFAULT_SERVER})
+  --api-key <chave>     Chave de API (padrão: $HARDIA_API_KEY)
+
+Códigos de saída: 0 compatível, 1 incompatível, 2 erro, 3 inconclusivo (título sem requisitos conhecidos).`;
+
+const OPTIONS = {
+    ...Object.fromEntries(HARDWARE_OPTIONS.map(option => [option, { type: "string" }])),
+    software: { type: "string", multiple: true },
+    json: { type: "boolean" },
+    lang: { type: "string" },
+    server: { type: "string" },
+    "api-key": { type: "string" },
+    help: { type: "boolean", short: "h" }
+};
+
+// Erro de uso (opção ou arquivo inválido): interrompe tudo, sem consultar o servidor
+class UsageError extends Error {}
+
+// "16", "16GB", "1 TB" -> GB; número sem unidade é lido em GB
+function parseSize(value, field) {
+    const match = String(value).trim().match(/^(\d+(?:[.,]\d+)?)\s*([a-z]*)$/i);
+    const gb = match && toGb(match[1], match[2] || "gb");
+    if (!gb) throw new Error(`Valor inválido para ${field}: "${value}" (use, por exemplo, 16 ou 512GB)`);
+    return gb;
+}
+
+/**
+ * Converte o perfil (campos das opções ou do arquivo) no corpo de POST /api/chat,
+ * com o mesmo mapeamento da importação de relatórios. `answers` do arquivo traz
+ * respostas extras do questionário (ex.: { "formFactor": "desktop" }).
+ */
+function buildRequest(profile) {
+    const { answers, otherSpecifications, hardwareIds, missing } = specsToAnswers({
+        os: profile.os && String(profile.os),
+        cpu: profile.cpu && String(profile.cpu),
+        gpu: profile.gpu && String(profile.gpu),
+        ramGb: profile.ram !== undefined ? parseSize(profile.ram, "ram") : undefined,
+        freeDiskGb: profile.storage !== undefined ? parseSize(profile.storage, "storage") : undefined,
+        vramGb: profile.vram !== undefined ? parseSize(profile.vram, "vram") : undefined
+    });
+    if (missing.length) throw new Error(`Faltam dados do hardware: ${missing.join(", ")}`);
+    if (!profile.software) throw new Error("Informe o software com --software ou no campo \"software\" do perfil");
+
+    return {
+        answers: { ...profile.answers, ...answers, software: String(profile.software) },
+        otherSpecifications,
+        hardwareIds
+    };
+}
+
+async function readProfiles(file) {
+    let data;
+    try {
+        const text = await fs.readFile(file, "utf8");
+        data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`Não foi possível ler ${file}: ${error.message}`);
+    }
+
+    const list = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : [data];
+    return list.map((profile, index) => {
+        if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+            throw new UsageError(`${file}: o perfil ${index + 1} deve ser um objeto`);
+        }
+        const name = list.length > 1 ? `${path.basename(file)}#${index + 1}` : path.basename(file);
+        return { name, ...profile };
+    });
+}
+
+function errorResult(profile, error, requestId) {
+    return { name: profile.name, software: profile.software, verdict: "error", error, ...(requestId && { requestId }) };
+}
+
+async function checkProfile(profile, { server, apiKey, lang }) {
+    let body;
+    try {
+        body = buildRequest(profile);
+    } catch (error) {
+        return errorResult(profile, error.message);
+    }
+
+    const headers = { "Content-Type": "application/json", Accept: "application/json" };
+    if (lang) headers["Accept-Language"] = lang;
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    try {
+        const response = await fetch(new URL("/api/chat", server), {
+            method: "POST",
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        const data = await response.json().catch(() => null);
+        const requestId = response.headers.get("x-request-id");
+        if (!response.ok || !data?.success) {
+            return errorResult(profile, data?.error || `HTTP ${response.status}`, requestId);
+        }
+
+        const { analysis, compatibility, cached } = data.data;
+        return {
+            name: profile.name,
+            software: compatibility?.software.name || body.answers.software,
+            verdict: analysis.verdict,
+            score: analysis.score,
+            components: analysis.components,
+            summary: analysis.summary,
+            bottlenecks: analysis.bottlenecks,
+            upgrades: analysis.upgrades,
+            cached,
+            requestId
+        };
+    } catch (error) {
+        return errorResult(profile, error.name === "TimeoutError"
+            ? `O servidor não respondeu em ${REQUEST_TIMEOUT_MS / 1000}s`
+            : `Não foi possível conectar a ${server}: ${error.cause?.message || error.message}`);
+    }
+}
+
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()).join("\n");
+}
+
+function formatResult(result) {
+    const title = [result.name, result.software].filter(Boolean).join(" · ");
+    if (result.verdict === "error") {
+        return `${title}\n  Erro: ${result.error}${result.requestId ? ` (requisição ${result.requestId})` : ""}`;
+    }
+
+    const lines = [
+        title,
+        `Veredito: ${VERDICT_LABELS[result.verdict] || result.verdict} · nota ${result.score}/10${result.cached ? " (cache)" : ""}`
+    ];
+    if (result.components.length) {
+        lines.push("", formatTable([
+            ["Componente", "Requisito", "Seu hardware", "Resultado"],
+            ...result.components.map(item => [
+                COMPONENT_LABELS[item.component] || item.component,
+                String(item.required ?? ""),
+                String(item.yours ?? ""),
+                STATUS_LABELS[item.status] || item.status
+            ])
+        ]));
+    }
+    lines.push("", result.summary);
+    for (const item of result.bottlenecks) {
+        lines.push(`- Gargalo (${COMPONENT_LABELS[item.component] || item.component}): ${item.description}`);
+    }
+    for (const item of result.upgrades) {
+        lines.push(`- Upgrade: ${item.suggestion}`);
+    }
+    return lines.join("\n");
+}
+
+function exitCodeFor(results) {
+    const worst = EXIT_PRIORITY.find(verdict => results.some(result => result.verdict === verdict));
+    return EXIT_CODES[worst] ?? EXIT_CODES.error;
+}
+
+async function check(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_CODES.compatible;
+    }
+
+    const server = values.server || process.env.HARDIA_URL || DEFAULT_SERVER;
+    if (!URL.canParse(server)) throw new UsageError(`URL do servidor inválida: "${server}"`);
+
+    // Cada perfil (das opções ou dos arquivos) é verificado para cada --software informado
+    const overrides = Object.fromEntries(HARDWARE_OPTIONS.filter(option => values[option] !== undefined)
+        .map(option => [option, values[option]]));
+    const bases = positionals.length ? (await Promise.all(positionals.map(readProfiles))).flat() : [{}];
+    const profiles = bases.flatMap(base => (values.software || [base.software])
+        .map(software => ({ ...base, ...overrides, software })));
+
+    // Em sequência, para não disputar o limite de requisições do servidor
+    const results = [];
+    for (const profile of profiles) {
+        results.push(await checkProfile(profile, {
+            server,
+            apiKey: values["api-key"] || process.env.HARDIA_API_KEY,
+            lang: values.lang
+        }));
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        console.log(results.map(formatResult).join("\n\n" + "-".repeat(60) + "\n\n"));
+    }
+    return exitCodeFor(results);
+}
+
+async function main([command, ...args]) {
+    if (!command || ["help", "--help", "-h"].includes(command)) {
+        console.log(USAGE);
+        return EXIT_CODES.compatible;
+    }
+    if (command !== "check") throw new UsageError(`Comando desconhecido: "${command}"`);
+    return check(args);
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(`hardia: ${error.message}`);
+        if (error instanceof UsageError) console.error("Veja as opções com `hardia help`.");
+        process.exitCode = EXIT_CODES.error;
+    });
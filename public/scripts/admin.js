@@ -0,0 +1,349 @@
+// Painel de uso (/admin): agregados anônimos das análises e exportação em CSV.
+// Os dados vêm de /api/admin/analytics, autorizados pelo ADMIN_TOKEN informado nesta aba
+
+const API_ANALYTICS_URL = '/api/admin/analytics';
+const ADMIN_TOKEN_KEY = 'hardia:admin-token';
+const DASHBOARD_VERDICTS = ['compatible', 'incompatible', 'unknown'];
+const VERDICT_BAR_CLASSES = {
+    compatible: 'bg-green-400',
+    incompatible: 'bg-red-400',
+    unknown: 'bg-yellow-400'
+};
+
+const tokenForm = document.getElementById('token-form');
+const tokenInput = document.getElementById('admin-token');
+const dashboard = document.getElementById('dashboard');
+const dashboardError = document.getElementById('dashboard-error');
+const daysSelect = document.getElementById('dashboard-days');
+const exportButton = document.getElementById('export-csv');
+const signOutButton = document.getElementById('sign-out');
+const localeSwitcher = document.getElementById('locale-switcher');
+
+let lastSummary = null;
+
+function readToken() {
+    try {
+        return sessionStorage.getItem(ADMIN_TOKEN_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveToken(token) {
+    try {
+        if (token) sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+        else sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    } catch (error) {
+        // sessionStorage indisponível: o token vale só até recarregar a página
+    }
+}
+
+let adminToken = readToken();
+
+function showError(message) {
+    dashboardError.textContent = message;
+    dashboardError.classList.toggle('hidden', !message);
+}
+
+function showTokenForm() {
+    dashboard.classList.add('hidden');
+    tokenForm.classList.remove('hidden');
+    tokenInput.focus();
+}
+
+// Chamada autorizada; token recusado (401) volta ao formulário
+async function adminFetch(url) {
+    const response = await fetch(url, {
+        headers: { Authorization: `Bearer ${adminToken}`, 'Accept-Language': currentLocale }
+    });
+    if (response.ok) return response;
+
+    const data = await response.json().catch(() => null);
+    if (response.status === 401) {
+        adminToken = null;
+        saveToken(null);
+        showTokenForm();
+    }
+    throw new Error((data && data.error) || t('dashboard.loadError'));
+}
+
+function formatNumber(value) {
+    return value === null || value === undefined ? '—' : Number(value).toLocaleString(currentLocale);
+}
+
+function formatPercent(value) {
+    return value.toLocaleString(currentLocale, { style: 'percent', maximumFractionDigits: 1 });
+}
+
+function tierLabel(tier) {
+    return tier === null ? t('dashboard.tierUnknown') : t('dashboard.tier', { tier });
+}
+
+// As larguras e alturas das barras são aplicadas depois, pelo CSSOM (a CSP não permite style inline)
+function applyBars(root) {
+    root.querySelectorAll('[data-bar-width]').forEach(bar => {
+        bar.style.width = `${Number(bar.dataset.barWidth) * 100}%`;
+    });
+    root.querySelectorAll('[data-bar-height]').forEach(bar => {
+        bar.style.height = `${Number(bar.dataset.barHeight) * 100}%`;
+    });
+}
+
+function emptyHtml() {
+    return `<p class="text-gray-500">${t('dashboard.empty')}</p>`;
+}
+
+// Barra empilhada com a proporção de cada veredito
+function verdictBarHtml(counts, total) {
+    return `
+        <div class="flex h-3 w-full rounded-full overflow-hidden bg-gray-100">
+            ${DASHBOARD_VERDICTS.filter(verdict => counts[verdict]).map(verdict => `
+                <div class="${VERDICT_BAR_CLASSES[verdict]}" data-bar-width="${counts[verdict] / total}"
+                     title="${escapeHtml(`${t(`verdicts.${verdict}`)}: ${counts[verdict]}`)}"></div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function verdictLegendHtml() {
+    return `
+        <div class="flex flex-wrap gap-4 text-xs text-gray-600 mt-4">
+            ${DASHBOARD_VERDICTS.map(verdict => `
+                <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 rounded-full ${VERDICT_BAR_CLASSES[verdict]}"></span>${t(`verdicts.${verdict}`)}</span>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderTotals(totals) {
+    const cards = [
+        ['dashboard.totals.analyses', formatNumber(totals.analyses)],
+        ['dashboard.totals.software', formatNumber(totals.software)],
+        ['dashboard.totals.compatible', totals.analyses ? formatPercent(totals.compatible / totals.analyses) : '—'],
+        ['dashboard.totals.cached', totals.analyses ? formatPercent(totals.cacheRate) : '—'],
+        ['dashboard.totals.tokens', formatNumber(totals.tokens)]
+    ];
+    document.getElementById('dashboard-totals').innerHTML = cards.map(([key, value]) => `
+        <div class="bg-white rounded-xl card-shadow p-4 text-center">
+            <p class="text-2xl font-bold text-gray-800">${value}</p>
+            <p class="text-sm text-gray-500">${t(key)}</p>
+        </div>
+    `).join('');
+}
+
+function renderTrend(container, trend) {
+    const max = Math.max(...trend.map(day => day.analyses));
+    if (!max) {
+        container.innerHTML = emptyHtml();
+        return;
+    }
+    container.innerHTML = `
+        <div class="flex items-end gap-px h-40" role="img" aria-label="${escapeHtml(t('dashboard.trend'))}">
+            ${trend.map(day => `
+                <div class="flex-1 h-full flex items-end" title="${escapeHtml(t('dashboard.trendDay', { date: new Date(`${day.date}T12:00:00Z`).toLocaleDateString(currentLocale), count: day.analyses }))}">
+                    <div class="w-full flex flex-col-reverse rounded-t overflow-hidden" data-bar-height="${day.analyses / max}">
+                        ${DASHBOARD_VERDICTS.filter(verdict => day[verdict]).map(verdict => `
+                            <div class="${VERDICT_BAR_CLASSES[verdict]}" data-bar-height="${day[verdict] / day.analyses}"></div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="flex justify-between text-xs text-gray-500 mt-2">
+            <span>${new Date(`${trend[0].date}T12:00:00Z`).toLocaleDateString(currentLocale)}</span>
+            <span>${new Date(`${trend[trend.length - 1].date}T12:00:00Z`).toLocaleDateString(currentLocale)}</span>
+        </div>
+        ${verdictLegendHtml()}
+    `;
+}
+
+function renderSoftware(container, items) {
+    if (!items.length) {
+        container.innerHTML = emptyHtml();
+        return;
+    }
+    container.innerHTML = `
+        <table class="w-full text-sm text-left">
+            <thead>
+                <tr class="text-gray-600">
+                    <th class="py-2 pr-4">${t('table.title')}</th>
+                    <th class="py-2 pr-4 text-right">${t('dashboard.count')}</th>
+                    <th class="py-2 w-1/2">${t('table.verdict')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${items.map(item => `
+                    <tr class="border-t border-gray-100">
+                        <td class="py-2 pr-4 font-medium text-gray-800">
+                            ${escapeHtml(item.software)}
+                            ${item.inCatalog ? '' : `<span class="block text-xs font-normal text-gray-500">${t('dashboard.notInCatalog')}</span>`}
+                        </td>
+                        <td class="py-2 pr-4 text-right">${formatNumber(item.count)}</td>
+                        <td class="py-2">${verdictBarHtml(item, item.count)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${verdictLegendHtml()}
+    `;
+}
+
+// Componentes em ordem de frequência, com a proporção das análises em que aparecem
+function renderComponents(container, items) {
+    if (!items.length) {
+        container.innerHTML = emptyHtml();
+        return;
+    }
+    container.innerHTML = items.map(item => `
+        <div class="mb-3">
+            <div class="flex justify-between text-sm mb-1">
+                <span class="font-medium text-gray-800">${escapeHtml(componentLabel(item.component))}</span>
+                <span class="text-gray-600">${formatPercent(item.rate)} (${formatNumber(item.count)})</span>
+            </div>
+            <div class="h-2 w-full rounded-full bg-gray-100 overflow-hidden">
+                <div class="h-full bg-blue-500" data-bar-width="${item.rate}"></div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderTiers(container, items) {
+    if (!items.length) {
+        container.innerHTML = emptyHtml();
+        return;
+    }
+    container.innerHTML = `
+        ${items.map(item => `
+            <div class="mb-3">
+                <div class="flex justify-between text-sm mb-1">
+                    <span class="font-medium text-gray-800">${tierLabel(item.tier)}</span>
+                    <span class="text-gray-600">${t('dashboard.tierCompatible', { rate: formatPercent(item.compatible / item.total), count: formatNumber(item.total) })}</span>
+                </div>
+                ${verdictBarHtml(item, item.total)}
+            </div>
+        `).join('')}
+        ${verdictLegendHtml()}
+    `;
+}
+
+function renderModels(container, items) {
+    if (!items.length) {
+        container.innerHTML = emptyHtml();
+        return;
+    }
+    container.innerHTML = `
+        <table class="w-full text-sm text-left">
+            <thead>
+                <tr class="text-gray-600">
+                    <th class="py-2 pr-4">${t('dashboard.model')}</th>
+                    <th class="py-2 pr-4 text-right">${t('dashboard.count')}</th>
+                    <th class="py-2 pr-4 text-right">${t('dashboard.generated')}</th>
+                    <th class="py-2 pr-4 text-right">${t('dashboard.avgTokens')}</th>
+                    <th class="py-2 text-right">${t('dashboard.avgLatency')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${items.map(item => `
+                    <tr class="border-t border-gray-100">
+                        <td class="py-2 pr-4 font-medium text-gray-800">
+                            ${escapeHtml(item.model)}
+                            <span class="block text-xs font-normal text-gray-500">${escapeHtml(item.provider)}</span>
+                        </td>
+                        <td class="py-2 pr-4 text-right">${formatNumber(item.analyses)}</td>
+                        <td class="py-2 pr-4 text-right">${formatNumber(item.generated)}</td>
+                        <td class="py-2 pr-4 text-right">${formatNumber(item.avgTokens)}</td>
+                        <td class="py-2 text-right">${item.avgLatencyMs === null ? '—' : t('dashboard.seconds', { seconds: (item.avgLatencyMs / 1000).toLocaleString(currentLocale, { maximumFractionDigits: 2 }) })}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderDashboard(summary) {
+    lastSummary = summary;
+    renderTotals(summary.totals);
+    renderTrend(document.getElementById('dashboard-trend'), summary.trend);
+    renderSoftware(document.getElementById('dashboard-software'), summary.topSoftware);
+    renderComponents(document.getElementById('dashboard-failed'), summary.failedComponents);
+    renderComponents(document.getElementById('dashboard-bottlenecks'), summary.bottlenecks);
+    renderTiers(document.getElementById('dashboard-gpu-tiers'), summary.verdictsByTier.gpu);
+    renderTiers(document.getElementById('dashboard-cpu-tiers'), summary.verdictsByTier.cpu);
+    renderModels(document.getElementById('dashboard-models'), summary.models);
+    applyBars(dashboard);
+}
+
+function translateDays() {
+    Array.from(daysSelect.options).forEach(option => {
+        option.textContent = t('dashboard.days', { days: option.value });
+    });
+}
+
+async function loadDashboard() {
+    try {
+        const response = await adminFetch(`${API_ANALYTICS_URL}?days=${daysSelect.value}`);
+        const data = await response.json();
+        showError('');
+        tokenForm.classList.add('hidden');
+        dashboard.classList.remove('hidden');
+        renderDashboard(data.data);
+    } catch (error) {
+        console.error('Erro ao carregar o painel:', error);
+        showError(error.message);
+    }
+}
+
+// O CSV também exige o token, então é baixado pelo fetch e entregue como arquivo
+async function exportCsv() {
+    exportButton.disabled = true;
+    try {
+        const response = await adminFetch(`${API_ANALYTICS_URL}.csv?days=${daysSelect.value}`);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hardia-analytics-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Erro ao exportar o CSV:', error);
+        showError(error.message);
+    } finally {
+        exportButton.disabled = false;
+    }
+}
+
+tokenForm.addEventListener('submit', event => {
+    event.preventDefault();
+    adminToken = tokenInput.value.trim();
+    if (!adminToken) return;
+    saveToken(adminToken);
+    tokenInput.value = '';
+    loadDashboard();
+});
+
+signOutButton.addEventListener('click', () => {
+    adminToken = null;
+    saveToken(null);
+    showError('');
+    showTokenForm();
+});
+
+daysSelect.addEventListener('change', loadDashboard);
+exportButton.addEventListener('click', exportCsv);
+
+async function init() {
+    await loadLocale(preferredLocale());
+    applyTranslations();
+    translateDays();
+    setupLocaleSwitcher(localeSwitcher, () => {
+        translateDays();
+        if (lastSummary) renderDashboard(lastSummary);
+    });
+
+    if (adminToken) loadDashboard();
+    else showTokenForm();
+}
+
+init();
@@ -0,0 +1,147 @@
+// Detecção de hardware no navegador para pré-preencher o questionário.
+// Tudo roda localmente: nenhuma informação detectada é enviada ao servidor aqui.
+
+// Nível de confiança no idioma atual (high, medium ou low)
+function confidenceLabel(confidence) {
+    return t(`detect.level.${confidence}`);
+}
+
+// Renderizadores de software não representam a placa de vídeo real
+const SOFTWARE_RENDERERS = /swiftshader|llvmpipe|software|microsoft basic render/i;
+// Nomes genéricos que alguns navegadores devolvem no lugar do modelo
+const GENERIC_RENDERERS = /^(apple gpu|intel hd graphics|radeon r9 200 series|geforce gtx 980)$/i;
+
+// "ANGLE (NVIDIA, NVIDIA GeForce GTX 1660 SUPER Direct3D11 vs_5_0 ps_5_0, D3D11)" → "NVIDIA GeForce GTX 1660 SUPER"
+function cleanRendererName(renderer) {
+    const angle = renderer.match(/^ANGLE \((?:[^,]+,\s*)?(.+?)(?:,\s*[^,]+)?\)$/);
+    return (angle ? angle[1] : renderer)
+        .replace(/\s+(Direct3D|OpenGL|Metal|Vulkan).*$/i, '')
+        .replace(/\/PCIe.*$|\/SSE2.*$/i, '')
+        .replace(/\((R|TM)\)/gi, '')
+        .replace(/\s*\([^)]*\)/g, '')
+        .replace(/^Mesa\s+/i, '')
+        .trim();
+}
+
+function detectGpu() {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+    const extension = gl && gl.getExtension('WEBGL_debug_renderer_info');
+    if (!extension) return null;
+
+    const renderer = gl.getParameter(extension.UNMASKED_RENDERER_WEBGL);
+    if (!renderer || SOFTWARE_RENDERERS.test(renderer)) return null;
+
+    const name = cleanRendererName(renderer);
+    const source = 'WebGL (UNMASKED_RENDERER_WEBGL)';
+    const generic = GENERIC_RENDERERS.test(name);
+
+    // Modelos que correspondem diretamente a uma opção do questionário
+    if (/gtx\s*1050/i.test(name)) return { value: 'gtx1050', detail: name, source, confidence: 'medium' };
+    if (/rx\s*580/i.test(name)) return { value: 'radeon580', detail: name, source, confidence: 'medium' };
+    if (/intel.*(hd|uhd) graphics/i.test(name)) return { value: 'intel_hd', detail: name, source, confidence: generic ? 'low' : 'medium' };
+
+    // O navegador pode informar a GPU integrada mesmo com uma dedicada instalada
+    return { value: 'other', other: name, detail: name, source, confidence: generic ? 'low' : 'medium' };
+}
+
+async function detectOs() {
+    if (navigator.userAgentData && navigator.userAgentData.getHighEntropyValues) {
+        try {
+            const { platform, platformVersion } = await navigator.userAgentData.getHighEntropyValues(['platform', 'platformVersion']);
+            const source = 'navigator.userAgentData';
+            const major = parseInt(platformVersion, 10);
+
+            if (platform === 'Windows') {
+                // platformVersion 13+ corresponde ao Windows 11; 1 a 10, ao Windows 10
+                if (major >= 13) return { value: 'other', other: 'Windows 11', detail: 'Windows 11', source, confidence: 'high' };
+                if (major >= 1) return { value: 'windows10', detail: 'Windows 10', source, confidence: 'high' };
+                return { value: 'windows7', detail: 'Windows 7/8', source, confidence: 'medium' };
+            }
+            if (platform === 'macOS') return { value: 'macos', detail: 'macOS', source, confidence: 'high' };
+            if (platform === 'Linux' || platform === 'Chrome OS') return { value: 'linux', detail: platform, source, confidence: 'high' };
+        } catch (error) {
+            console.error('Erro ao consultar userAgentData:', error);
+        }
+    }
+
+    const userAgent = navigator.userAgent;
+    const source = 'navigator.userAgent';
+    // O Windows 11 também se identifica como "Windows NT 10.0"
+    if (/Windows NT 10/.test(userAgent)) return { value: 'windows10', detail: t('detect.windows10or11'), source, confidence: 'medium' };
+    if (/Windows NT 6\.1/.test(userAgent)) return { value: 'windows7', detail: 'Windows 7', source, confidence: 'high' };
+    if (/Mac OS X/.test(userAgent)) return { value: 'macos', detail: 'macOS', source, confidence: 'medium' };
+    if (/Linux|CrOS/.test(userAgent) && !/Android/.test(userAgent)) return { value: 'linux', detail: 'Linux', source, confidence: 'medium' };
+    return null;
+}
+
+// Só há o número de núcleos lógicos: a faixa do processador é apenas uma estimativa
+function detectCpu(gpu) {
+    const appleChip = gpu && gpu.other && gpu.other.match(/^Apple (M\d+(?: Pro| Max| Ultra)?)/);
+    if (appleChip) {
+        return { value: 'other', other: `Apple ${appleChip[1]}`, detail: `Apple ${appleChip[1]}`, source: 'WebGL (UNMASKED_RENDERER_WEBGL)', confidence: 'high' };
+    }
+
+    const threads = navigator.hardwareConcurrency;
+    if (!threads) return null;
+
+    const value = threads <= 4 ? 'intel_i3' : threads <= 8 ? 'intel_i5' : 'intel_i7';
+    return { value, detail: t('detect.threads', { count: threads }), source: 'navigator.hardwareConcurrency', confidence: 'low' };
+}
+
+// deviceMemory é arredondado para potências de 2 e limitado a 8 GB
+function detectRam() {
+    const memory = navigator.deviceMemory;
+    if (!memory) return null;
+
+    const source = 'navigator.deviceMemory';
+    if (memory >= 8) return { value: '8gb', detail: t('detect.ram8'), source, confidence: 'low' };
+    if (memory >= 4) return { value: '4gb', detail: '4 GB', source, confidence: 'medium' };
+    return { value: 'other', other: `${memory} GB`, detail: `${memory} GB`, source, confidence: 'medium' };
+}
+
+// A cota do navegador é uma fração do disco; o espaço livre é uma estimativa grosseira
+async function detectStorage() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+
+    try {
+        const { quota } = await navigator.storage.estimate();
+        if (!quota) return null;
+
+        const gb = quota / 1024 ** 3;
+        const value = gb < 50 ? 'less_50gb' : gb < 100 ? '50gb' : gb < 250 ? '100gb' : '250gb';
+        return { value, detail: t('detect.quota', { size: Math.round(gb) }), source: 'navigator.storage.estimate()', confidence: 'low' };
+    } catch (error) {
+        console.error('Erro ao estimar o armazenamento:', error);
+        return null;
+    }
+}
+
+/**
+ * Coleta as pistas disponíveis no navegador.
+ * Retorna { os, gpu, cpu, ram, storage, macChip? } com { value, other?, detail, source, confidence }
+ * para cada campo detectado (campos não detectados ficam de fora).
+ */
+async function detectHardware() {
+    let gpu = null;
+    try {
+        gpu = detectGpu();
+    } catch (error) {
+        console.error('Erro ao consultar o WebGL:', error);
+    }
+
+    const os = await detectOs();
+    const cpu = detectCpu(gpu);
+    const hints = {
+        os,
+        gpu,
+        cpu,
+        ram: detectRam(),
+        storage: await detectStorage()
+    };
+    // Pergunta condicional do questionário para macOS
+    if (os && os.value === 'macos' && cpu && cpu.confidence === 'high') {
+        hints.macChip = { value: 'apple_silicon', detail: cpu.detail, source: cpu.source, confidence: 'high' };
+    }
+    return Object.fromEntries(Object.entries(hints).filter(([, hint]) => hint));
+}
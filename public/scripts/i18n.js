@@ -0,0 +1,91 @@
+// Idioma da interface: catálogos em /locales/<idioma>.json, escolha salva neste navegador.
+// O mesmo idioma vai no cabeçalho Accept-Language das chamadas à API
+
+const SUPPORTED_LOCALES = ['pt-BR', 'en', 'es'];
+const DEFAULT_LOCALE = 'pt-BR';
+const LOCALE_STORAGE_KEY = 'hardia:locale';
+
+let currentLocale = DEFAULT_LOCALE;
+let localeMessages = {};
+// Catálogo pt-BR, usado para chaves ausentes nos outros idiomas
+let fallbackMessages = {};
+
+// "en-US" -> "en", "pt" -> "pt-BR", "es-419" -> "es"
+function matchLocale(tag) {
+    if (!tag) return null;
+    const wanted = tag.toLowerCase();
+    return SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === wanted) ||
+        SUPPORTED_LOCALES.find(locale => locale.split('-')[0].toLowerCase() === wanted.split('-')[0]) ||
+        null;
+}
+
+// Idioma salvo, depois os idiomas do navegador, depois pt-BR
+function preferredLocale() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        // localStorage indisponível (ex.: modo privado restrito)
+    }
+    return matchLocale(saved) ||
+        (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean) ||
+        DEFAULT_LOCALE;
+}
+
+async function fetchCatalog(locale) {
+    const response = await fetch(`/locales/${locale}.json`);
+    if (!response.ok) throw new Error(`Catálogo ${locale} indisponível`);
+    return (await response.json()).messages;
+}
+
+// Carrega o catálogo do idioma; se falhar, a interface continua em pt-BR
+async function loadLocale(locale) {
+    try {
+        if (!Object.keys(fallbackMessages).length) fallbackMessages = await fetchCatalog(DEFAULT_LOCALE);
+        localeMessages = locale === DEFAULT_LOCALE ? fallbackMessages : await fetchCatalog(locale);
+        currentLocale = locale;
+    } catch (error) {
+        console.error('Erro ao carregar o idioma:', error);
+        localeMessages = fallbackMessages;
+        currentLocale = DEFAULT_LOCALE;
+    }
+    document.documentElement.lang = currentLocale;
+    return currentLocale;
+}
+
+function saveLocale(locale) {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        // A escolha vale só para esta página
+    }
+}
+
+// Texto traduzido, com {parâmetros} substituídos
+function t(key, params = {}) {
+    const template = localeMessages[key] ?? fallbackMessages[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Aplica as traduções aos elementos marcados com data-i18n (texto) e data-i18n-<atributo>
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ['placeholder', 'aria-label', 'title', 'alt'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+// Seletor de idioma do cabeçalho; `onChange` roda depois de o novo catálogo ser aplicado
+function setupLocaleSwitcher(select, onChange) {
+    select.value = currentLocale;
+    select.addEventListener('change', async () => {
+        saveLocale(select.value);
+        await loadLocale(select.value);
+        applyTranslations();
+        if (onChange) onChange(currentLocale);
+    });
+}
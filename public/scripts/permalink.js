@@ -0,0 +1,63 @@
+// Página somente leitura de uma análise salva (/analise/:id)
+
+const API_ANALYSES_URL = '/api/analyses';
+
+const responseDiv = document.getElementById('responseDiv');
+const resultsIcon = document.getElementById('results-icon');
+const resultsTitle = document.getElementById('results-title');
+const resultsMeta = document.getElementById('results-meta');
+const hardwareProfileDiv = document.getElementById('hardware-profile');
+const localeSwitcher = document.getElementById('locale-switcher');
+
+function showError(message) {
+    resultsIcon.classList.remove('hidden');
+    resultsIcon.classList.add('fa-exclamation-triangle', 'text-red-500');
+    resultsTitle.textContent = t('shared.failed');
+    responseDiv.innerText = message;
+}
+
+function showSavedAnalysis(record) {
+    resultsIcon.classList.remove('hidden');
+    resultsIcon.classList.add(...(VERDICT_ICONS[record.analysis.verdict] || VERDICT_ICONS.unknown));
+    resultsTitle.textContent = record.software;
+
+    const date = new Date(record.createdAt).toLocaleString(currentLocale);
+    resultsMeta.textContent = record.model
+        ? t('shared.metaModel', { date, model: record.model })
+        : t('shared.meta', { date });
+    document.title = `HardIA | ${record.software}`;
+
+    renderHardwareProfile(hardwareProfileDiv, record.profile);
+    hardwareProfileDiv.classList.remove('hidden');
+    renderAnalysis(responseDiv, record.analysis, record.software);
+}
+
+async function loadAnalysis() {
+    const id = decodeURIComponent(location.pathname.split('/').filter(Boolean).pop() || '');
+
+    try {
+        const response = await fetch(`${API_ANALYSES_URL}/${encodeURIComponent(id)}`, {
+            headers: { 'Accept-Language': currentLocale }
+        });
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok || !data || !data.success) {
+            showError((data && data.error) || t('shared.loadError'));
+            return;
+        }
+        showSavedAnalysis(data.data);
+    } catch (error) {
+        console.error("Erro ao carregar análise:", error);
+        showError(t('errors.connection'));
+    }
+}
+
+// O texto da análise fica no idioma em que foi gerada; rótulos e tabelas seguem o idioma escolhido
+async function init() {
+    await loadLocale(preferredLocale());
+    applyTranslations();
+    setupLocaleSwitcher(localeSwitcher, loadAnalysis);
+    loadAnalysis();
+}
+
+init();
@@ -0,0 +1,337 @@
+// Renderização, leitura e validação das perguntas a partir do esquema de /api/questions.
+// Sem handlers inline (a CSP os bloqueia): os controles têm data-action, tratado por delegação em main.js
+
+// Condições de exibição: { field, equals | notEquals | in | notIn | includes }, ou uma lista.
+// Espelha matchesCondition de api/questions.js, que valida as respostas no servidor
+function matchesCondition(condition, answers) {
+    if (!condition) return true;
+    if (Array.isArray(condition)) return condition.every(item => matchesCondition(item, answers));
+
+    const value = answers[condition.field];
+    if ('equals' in condition) return value === condition.equals;
+    if ('notEquals' in condition) return value !== condition.notEquals;
+    if ('in' in condition) return condition.in.includes(value);
+    if ('notIn' in condition) return !condition.notIn.includes(value);
+    if ('includes' in condition) return Array.isArray(value) && value.includes(condition.includes);
+    return true;
+}
+
+function isQuestionVisible(question, answers) {
+    return matchesCondition(question.showIf, answers);
+}
+
+function visibleQuestionOptions(question, answers) {
+    return (question.options || []).filter(option => matchesCondition(option.showIf, answers));
+}
+
+function renderOtherSpec(questionId, value) {
+    return `
+        <div id="${escapeHtml(questionId)}-other-spec" class="ml-6 mb-3 mt-1">
+            <input type="text"
+                   id="${escapeHtml(questionId)}-other-text"
+                   placeholder="${escapeHtml(t('questionnaire.specify'))}"
+                   value="${escapeHtml(value)}"
+                   class="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500">
+        </div>
+    `;
+}
+
+function renderRadio(question, answers, otherSpecifications) {
+    return visibleQuestionOptions(question, answers).map(option => {
+        const isChecked = answers[question.id] === option.value;
+        let html = `
+            <div class="flex items-start mb-3">
+                <input type="radio" id="${escapeHtml(question.id)}-${escapeHtml(option.value)}"
+                       name="${escapeHtml(question.id)}"
+                       value="${escapeHtml(option.value)}"
+                       ${isChecked ? 'checked' : ''}
+                       class="h-4 w-4 text-blue-500 focus:ring-blue-400 border-gray-300 mt-1"
+                       data-action="toggle-other">
+                <label for="${escapeHtml(question.id)}-${escapeHtml(option.value)}" class="ml-2 text-gray-700">${escapeHtml(option.label)}</label>
+            </div>
+        `;
+
+        if (option.value === 'other' && (isChecked || question.id in otherSpecifications)) {
+            html += renderOtherSpec(question.id, otherSpecifications[question.id] || '');
+        }
+        return html;
+    }).join('');
+}
+
+function renderNumber(question, answers) {
+    const value = answers[question.id] ?? '';
+    return `
+        <div class="flex items-center gap-2">
+            <input type="number"
+                   id="${escapeHtml(question.id)}"
+                   name="${escapeHtml(question.id)}"
+                   min="${question.min}" max="${question.max}" step="${question.step || 1}"
+                   value="${escapeHtml(value)}"
+                   class="w-40 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500">
+            <span class="text-gray-600">${escapeHtml(question.unit)}</span>
+        </div>
+    `;
+}
+
+function renderSelectedValue(questionId, value) {
+    return `
+        <li class="selected-chip" data-value="${escapeHtml(value)}">
+            ${escapeHtml(value)}
+            <button type="button" aria-label="${escapeHtml(t('questionnaire.remove', { value }))}" class="text-blue-700 hover:text-red-600"
+                    data-action="remove-value">&times;</button>
+        </li>
+    `;
+}
+
+// Com `multiple`, o valor digitado vira um item da lista ao clicar em "Adicionar" ou teclar Enter
+function renderSearchableMultiple(question, answers, options) {
+    const values = [].concat(answers[question.id] || []);
+    return `
+        <div class="flex gap-2">
+            <input type="text"
+                   id="${escapeHtml(question.id)}"
+                   name="${escapeHtml(question.id)}"
+                   list="${escapeHtml(question.id)}-options"
+                   autocomplete="off"
+                   class="flex-1 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                   data-action="add-value" data-question="${escapeHtml(question.id)}">
+            <button type="button" data-action="add-value" data-question="${escapeHtml(question.id)}"
+                    class="px-4 py-2 bg-blue-100 text-blue-700 font-medium rounded-md hover:bg-blue-200">${escapeHtml(t('questionnaire.add'))}</button>
+        </div>
+        <datalist id="${escapeHtml(question.id)}-options">
+            ${options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+        </datalist>
+        <ul id="${escapeHtml(question.id)}-selected" data-max="${question.maxSelected || ''}" class="flex flex-wrap gap-2 mt-3">
+            ${values.map(value => renderSelectedValue(question.id, value)).join('')}
+        </ul>
+    `;
+}
+
+function selectedValues(questionId) {
+    return [...document.querySelectorAll(`#${questionId}-selected li`)].map(item => item.dataset.value);
+}
+
+function addSearchValue(questionId) {
+    const input = document.getElementById(questionId);
+    const list = document.getElementById(`${questionId}-selected`);
+    const value = input.value.trim();
+    if (!value) return;
+
+    const values = selectedValues(questionId);
+    if (!values.some(item => item.toLowerCase() === value.toLowerCase())) {
+        const max = Number(list.dataset.max);
+        if (max && values.length >= max) {
+            showQuestionError(t('validation.maxTitles', { max }), [input]);
+            return;
+        }
+        list.insertAdjacentHTML('beforeend', renderSelectedValue(questionId, value));
+    }
+    input.value = '';
+    input.focus();
+}
+
+// Com `searchable`, um campo de texto com sugestões (datalist); sem, um <select> comum
+function renderSelect(question, answers) {
+    const value = answers[question.id] || '';
+    const options = visibleQuestionOptions(question, answers);
+
+    if (question.searchable && question.multiple) {
+        return renderSearchableMultiple(question, answers, options);
+    }
+
+    if (question.searchable) {
+        return `
+            <input type="text"
+                   id="${escapeHtml(question.id)}"
+                   name="${escapeHtml(question.id)}"
+                   list="${escapeHtml(question.id)}-options"
+                   autocomplete="off"
+                   value="${escapeHtml(value)}"
+                   class="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500">
+            <datalist id="${escapeHtml(question.id)}-options">
+                ${options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+            </datalist>
+        `;
+    }
+
+    return `
+        <select id="${escapeHtml(question.id)}" name="${escapeHtml(question.id)}"
+                class="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500">
+            <option value="">${escapeHtml(t('questionnaire.selectPlaceholder'))}</option>
+            ${options.map(option => `
+                <option value="${escapeHtml(option.value)}" ${option.value === value ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function renderMultiselect(question, answers) {
+    const selected = answers[question.id] || [];
+    return visibleQuestionOptions(question, answers).map(option => `
+        <div class="flex items-start mb-3">
+            <input type="checkbox" id="${escapeHtml(question.id)}-${escapeHtml(option.value)}"
+                   name="${escapeHtml(question.id)}"
+                   value="${escapeHtml(option.value)}"
+                   ${selected.includes(option.value) ? 'checked' : ''}
+                   class="h-4 w-4 text-blue-500 focus:ring-blue-400 border-gray-300 rounded mt-1">
+            <label for="${escapeHtml(question.id)}-${escapeHtml(option.value)}" class="ml-2 text-gray-700">${escapeHtml(option.label)}</label>
+        </div>
+    `).join('');
+}
+
+function renderText(question, answers) {
+    return `
+        <input type="text"
+               id="${escapeHtml(question.id)}"
+               name="${escapeHtml(question.id)}"
+               value="${escapeHtml(answers[question.id] || '')}"
+               class="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500">
+    `;
+}
+
+const QUESTION_RENDERERS = {
+    radio: renderRadio,
+    number: renderNumber,
+    select: renderSelect,
+    multiselect: renderMultiselect,
+    text: renderText
+};
+
+// Tipos com várias opções, agrupados em <fieldset>; os demais têm um único campo, rotulado por <label>
+const GROUP_TYPES = ['radio', 'multiselect'];
+
+/**
+ * HTML da pergunta com a resposta salva: enunciado, aviso opcional (`notice`), dica e campo.
+ * Os grupos de opções vão em <fieldset>/<legend>; o de botões de opção é um radiogroup obrigatório.
+ */
+function renderQuestion(question, answers, otherSpecifications, notice = '') {
+    const id = escapeHtml(question.id);
+    const title = escapeHtml(question.question);
+    const titleClasses = 'text-xl font-medium text-gray-800 mb-4';
+    const hint = question.hint ? `<p id="${id}-hint" class="text-sm text-gray-500 mb-3">${escapeHtml(question.hint)}</p>` : '';
+    const input = QUESTION_RENDERERS[question.type](question, answers, otherSpecifications);
+
+    if (GROUP_TYPES.includes(question.type)) {
+        const group = question.type === 'radio' ? 'role="radiogroup" aria-required="true"' : '';
+        return `
+            <fieldset ${group} aria-labelledby="${id}-legend">
+                <legend id="${id}-legend" class="${titleClasses}">${title}</legend>
+                ${notice}${hint}${input}
+            </fieldset>
+        `;
+    }
+    return `
+        <label for="${id}" class="block ${titleClasses}">${title}</label>
+        ${notice}${hint}${input}
+    `;
+}
+
+// Controles da pergunta exibida (as opções do grupo ou o campo único), na ordem da página
+function questionControls(question) {
+    return [...document.querySelectorAll(`#question-container [name="${CSS.escape(question.id)}"]`)];
+}
+
+// Liga os controles à dica e à mensagem de erro da pergunta, lidas pelos leitores de tela
+function describeQuestionControls(question) {
+    const hint = document.getElementById(`${question.id}-hint`);
+    const describedBy = [hint && hint.id, QUESTION_ERROR_ID].filter(Boolean).join(' ');
+    questionControls(question).forEach(control => control.setAttribute('aria-describedby', describedBy));
+}
+
+// Campos a marcar como inválidos: o texto de "Outro" quando só ele falta, senão os controles da pergunta
+function invalidControls(question) {
+    const other = document.getElementById(`${question.id}-other-text`);
+    if (other && !other.value.trim() && readQuestionAnswer(question).value === 'other') return [other];
+    return questionControls(question);
+}
+
+const QUESTION_ERROR_ID = 'question-error';
+
+// Erro de validação exibido junto à pergunta (role="alert" o anuncia), com o foco no primeiro campo inválido
+function showQuestionError(message, controls) {
+    const error = document.getElementById(QUESTION_ERROR_ID);
+    error.textContent = message;
+    error.classList.remove('hidden');
+    controls.forEach(control => control.setAttribute('aria-invalid', 'true'));
+    const target = controls.find(control => control.checked) || controls[0];
+    if (target) target.focus();
+}
+
+function clearQuestionError() {
+    const error = document.getElementById(QUESTION_ERROR_ID);
+    error.textContent = '';
+    error.classList.add('hidden');
+    document.querySelectorAll('#question-container [aria-invalid]').forEach(control => control.removeAttribute('aria-invalid'));
+}
+
+/**
+ * Lê a resposta atual da pergunta exibida.
+ * Retorna { value, other? }; `value` é undefined quando nada foi respondido.
+ */
+function readQuestionAnswer(question) {
+    switch (question.type) {
+        case 'radio': {
+            const selected = document.querySelector(`input[name="${question.id}"]:checked`);
+            if (!selected) return { value: undefined };
+            const other = document.getElementById(`${question.id}-other-text`);
+            return selected.value === 'other' && other
+                ? { value: 'other', other: other.value.trim() }
+                : { value: selected.value };
+        }
+        case 'number': {
+            const input = document.getElementById(question.id);
+            return { value: input.value === '' ? undefined : Number(input.value) };
+        }
+        case 'multiselect':
+            return { value: [...document.querySelectorAll(`input[name="${question.id}"]:checked`)].map(input => input.value) };
+        case 'select':
+            if (question.multiple) {
+                // O texto digitado e ainda não adicionado também conta
+                const values = selectedValues(question.id);
+                const pending = document.getElementById(question.id).value.trim();
+                if (pending && !values.some(item => item.toLowerCase() === pending.toLowerCase())) {
+                    values.push(pending);
+                }
+                return { value: values.length ? values : undefined };
+            }
+            // fallthrough
+        default: {
+            const value = document.getElementById(question.id).value.trim();
+            return { value: value || undefined };
+        }
+    }
+}
+
+// Mensagem de erro da resposta atual, ou null se ela for válida
+function validateQuestionAnswer(question) {
+    const { value, other } = readQuestionAnswer(question);
+    const required = question.required !== false;
+
+    switch (question.type) {
+        case 'radio':
+            if (value === undefined) return t('validation.selectOption');
+            if (value === 'other' && !other) return t('validation.specifyOther');
+            return null;
+        case 'number':
+            if (value === undefined) return required ? t('validation.enterValue') : null;
+            if (!Number.isFinite(value) || value < question.min || value > question.max) {
+                return t('validation.range', { min: question.min, max: question.max, unit: question.unit });
+            }
+            return null;
+        case 'select':
+            if (value === undefined) return required ? t('validation.chooseOrType') : null;
+            if (question.multiple && question.maxSelected && value.length > question.maxSelected) {
+                return t('validation.maxTitles', { max: question.maxSelected });
+            }
+            if (!question.allowCustom && ![].concat(value).every(item => question.options.some(option => option.value === item))) {
+                return t('validation.chooseFromList');
+            }
+            return null;
+        case 'multiselect':
+            if (value.length < (question.minSelected || 0)) return t('validation.checkOne');
+            return null;
+        default:
+            if (value === undefined && required) return t('validation.fillField');
+            return null;
+    }
+}
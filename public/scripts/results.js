@@ -0,0 +1,336 @@
+// Renderização da análise estruturada retornada por /api/chat
+
+// Os textos vêm do catálogo do idioma (components.*, verdicts.*, status.*)
+const COMPONENTS = ['os', 'cpu', 'gpu', 'ram', 'storage'];
+
+const VERDICT_CLASSES = {
+    compatible: 'bg-green-100 text-green-800 border-green-300',
+    incompatible: 'bg-red-100 text-red-800 border-red-300',
+    unknown: 'bg-yellow-100 text-yellow-800 border-yellow-300'
+};
+
+const STATUS_CLASSES = {
+    pass: 'text-green-700',
+    fail: 'text-red-700',
+    unknown: 'text-yellow-700'
+};
+
+// Ícone exibido para cada veredito do motor de compatibilidade
+const VERDICT_ICONS = {
+    compatible: ['fa-check-circle', 'text-green-500'],
+    incompatible: ['fa-times-circle', 'text-red-500'],
+    unknown: ['fa-question-circle', 'text-yellow-500']
+};
+
+const STATUS_ICONS = {
+    pass: '✅',
+    fail: '❌',
+    unknown: '⚠️'
+};
+
+// Circunferência do círculo do medidor de nota (raio 40)
+const GAUGE_CIRCUMFERENCE = 2 * Math.PI * 40;
+
+function componentLabel(component) {
+    return COMPONENTS.includes(component) ? t(`components.${component}`) : component;
+}
+
+function verdictBadge(verdict) {
+    const key = verdict in VERDICT_CLASSES ? verdict : 'unknown';
+    return { label: t(`verdicts.${key}`), classes: VERDICT_CLASSES[key] };
+}
+
+function statusBadge(status) {
+    const key = status in STATUS_CLASSES ? status : 'unknown';
+    return { label: t(`status.${key}`), classes: STATUS_CLASSES[key] };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Markdown permitido nas respostas do modelo: formatação de texto, listas, código e links
+const MARKDOWN_TAGS = ['p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'ul', 'ol', 'li', 'blockquote', 'a', 'h3', 'h4', 'h5', 'h6'];
+
+// Converte o Markdown do modelo em HTML e o sanitiza; `inline` não gera parágrafos
+function renderMarkdown(text, { inline = false } = {}) {
+    const source = String(text ?? '');
+    const html = inline ? marked.parseInline(source) : marked.parse(source);
+    return DOMPurify.sanitize(html, { ALLOWED_TAGS: MARKDOWN_TAGS, ALLOWED_ATTR: ['href', 'title'] });
+}
+
+function renderVerdictBadge(verdict, softwareName) {
+    const badge = verdictBadge(verdict);
+    return `
+        <div class="flex flex-wrap items-center gap-3 mb-4">
+            <span class="verdict-badge border ${badge.classes}">${badge.label}</span>
+            ${softwareName ? `<span class="text-gray-700 font-semibold">${escapeHtml(softwareName)}</span>` : ''}
+        </div>
+    `;
+}
+
+function renderComparisonTable(components) {
+    if (!components.length) return '';
+
+    const rows = components.map(item => {
+        const status = statusBadge(item.status);
+        return `
+            <tr class="border-t border-blue-100">
+                <td class="py-2 pr-4 font-medium text-gray-800">${escapeHtml(componentLabel(item.component))}</td>
+                <td class="py-2 pr-4 text-gray-700">${escapeHtml(item.required)}</td>
+                <td class="py-2 pr-4 text-gray-700">${escapeHtml(item.yours)}</td>
+                <td class="py-2 ${status.classes}">
+                    <span class="font-semibold">${status.label}</span>
+                    ${item.note ? `<span class="block text-xs text-gray-500">${escapeHtml(item.note)}</span>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="overflow-x-auto mb-6">
+            <table class="comparison-table w-full text-sm text-left">
+                <thead>
+                    <tr class="text-gray-600">
+                        <th class="py-2 pr-4">${t('table.component')}</th>
+                        <th class="py-2 pr-4">${t('table.required')}</th>
+                        <th class="py-2 pr-4">${t('table.yours')}</th>
+                        <th class="py-2">${t('table.result')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderScoreGauge(score) {
+    const filled = (score / 10) * GAUGE_CIRCUMFERENCE;
+    const color = score >= 7 ? 'score-good' : score >= 4 ? 'score-medium' : 'score-bad';
+
+    return `
+        <div class="score-gauge ${color}" role="img" aria-label="${t('analysis.score', { score })}">
+            <svg viewBox="0 0 100 100" width="96" height="96">
+                <circle class="score-gauge-track" cx="50" cy="50" r="40"></circle>
+                <circle class="score-gauge-fill" cx="50" cy="50" r="40"
+                        stroke-dasharray="${filled.toFixed(1)} ${GAUGE_CIRCUMFERENCE.toFixed(1)}"></circle>
+            </svg>
+            <span class="score-gauge-value">${score}<small>/10</small></span>
+        </div>
+    `;
+}
+
+function renderList(title, items, describe) {
+    if (!items.length) return '';
+    return `
+        <h4 class="font-semibold text-gray-800 mb-2">${title}</h4>
+        <ul class="list-disc pl-5 mb-4 space-y-1 text-gray-700">
+            ${items.map(item => `<li>${describe(item)}</li>`).join('')}
+        </ul>
+    `;
+}
+
+// HTML completo de uma análise (veredito, tabela, detalhes e nota)
+function analysisHtml(analysis, softwareName) {
+    return `
+        ${renderVerdictBadge(analysis.verdict, softwareName)}
+        ${renderComparisonTable(analysis.components)}
+        <div class="flex flex-col md:flex-row md:items-start gap-6">
+            <div class="flex-1">
+                <h4 class="font-semibold text-gray-800 mb-2">${t('analysis.detailed')}</h4>
+                <div class="markdown text-gray-700 mb-4">${renderMarkdown(analysis.summary)}</div>
+                ${renderList(t('analysis.bottlenecks'), analysis.bottlenecks, item =>
+                    `<strong>${escapeHtml(componentLabel(item.component))}:</strong> ${renderMarkdown(item.description, { inline: true })}`)}
+                ${renderList(t('analysis.upgrades'), analysis.upgrades, item => renderMarkdown(item.suggestion, { inline: true }))}
+            </div>
+            <div class="flex flex-col items-center">
+                <span class="text-sm text-gray-600 mb-2">${t('analysis.overall')}</span>
+                ${renderScoreGauge(analysis.score)}
+            </div>
+        </div>
+    `;
+}
+
+// Monta o HTML completo da análise dentro do container informado
+function renderAnalysis(container, analysis, softwareName) {
+    container.innerHTML = analysisHtml(analysis, softwareName);
+}
+
+// Prévia exibida durante o streaming: veredito do motor de regras (se houver) e o texto parcial
+function renderStreamingPreview(container, compatibility, partialSummary) {
+    const verdictKnown = compatibility && compatibility.verdict !== 'unknown';
+    const components = verdictKnown
+        ? compatibility.components.map(item => ({
+            component: item.component,
+            required: item.required,
+            yours: item.yours,
+            status: item.status,
+            note: item.reason
+        }))
+        : [];
+
+    container.innerHTML = `
+        ${verdictKnown ? renderVerdictBadge(compatibility.verdict, compatibility.software.name) : ''}
+        ${renderComparisonTable(components)}
+        <p class="text-gray-700 streaming-text">${partialSummary ? escapeHtml(partialSummary) : t('analysis.generating')}</p>
+    `;
+}
+
+// Balão de uma mensagem da conversa de acompanhamento
+function renderChatMessage(role, text, isError) {
+    const classes = role === 'user'
+        ? 'ml-auto bg-blue-500 text-white'
+        : isError ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-gray-100 text-gray-800';
+    // Só as respostas do modelo passam pelo Markdown; o texto do usuário e os erros são exibidos como digitados
+    if (role === 'user' || isError) {
+        return `<div class="chat-bubble ${classes}">${escapeHtml(text)}</div>`;
+    }
+    return `<div class="chat-bubble markdown ${classes}">${renderMarkdown(text)}</div>`;
+}
+
+// Resumo do hardware informado, exibido na página de uma análise salva
+function renderHardwareProfile(container, profile) {
+    const items = COMPONENTS
+        .filter(field => profile[field])
+        .map(field => `
+            <li class="flex justify-between gap-4 py-1 border-t border-gray-100">
+                <span class="text-gray-600">${componentLabel(field)}</span>
+                <span class="text-gray-800 font-medium text-right">${escapeHtml(profile[field].label)}</span>
+            </li>
+        `).join('');
+
+    container.innerHTML = `
+        <h3 class="font-semibold text-gray-800 mb-2">${t('analysis.hardware')}</h3>
+        <ul class="text-sm">${items}</ul>
+    `;
+}
+
+function renderStatusIcon(status) {
+    if (!status) return `<span class="text-gray-400" title="${t('status.notEvaluated')}">—</span>`;
+    const badge = statusBadge(status);
+    return `<span title="${badge.label}" aria-label="${badge.label}">${STATUS_ICONS[status] || STATUS_ICONS.unknown}</span>`;
+}
+
+// Matriz do modo em lote: um título por linha, componentes nas colunas e veredito geral.
+// Cada linha expande para a análise completa do título
+function renderBatchMatrix(container, results) {
+    const columns = COMPONENTS;
+
+    const rows = results.map((item, index) => {
+        if (item.error) {
+            return `
+                <tr class="border-t border-blue-100">
+                    <td class="py-2 pr-4 font-medium text-gray-800">${escapeHtml(item.title)}</td>
+                    <td colspan="${columns.length + 2}" class="py-2 text-red-700">${escapeHtml(item.error)}</td>
+                </tr>
+            `;
+        }
+
+        const name = item.compatibility?.software.name || item.title;
+        const statuses = Object.fromEntries(item.analysis.components.map(component => [component.component, component.status]));
+        const badge = verdictBadge(item.analysis.verdict);
+        return `
+            <tr class="border-t border-blue-100">
+                <td class="py-2 pr-4 font-medium text-gray-800">${escapeHtml(name)}</td>
+                ${columns.map(column => `<td class="py-2 pr-4 text-center">${renderStatusIcon(statuses[column])}</td>`).join('')}
+                <td class="py-2 pr-4">
+                    <span class="verdict-badge verdict-badge-sm border ${badge.classes}">${badge.label}</span>
+                    <span class="block text-xs text-gray-500 mt-1">${t('analysis.scoreShort', { score: item.analysis.score })}</span>
+                </td>
+                <td class="py-2 text-right">
+                    <button type="button" data-expand="${index}" aria-expanded="false" aria-controls="batch-detail-${index}"
+                            class="text-blue-600 hover:text-blue-700 font-medium">${t('table.details')}</button>
+                </td>
+            </tr>
+            <tr id="batch-detail-${index}" class="hidden">
+                <td colspan="${columns.length + 3}" class="p-4 bg-white rounded-lg">${analysisHtml(item.analysis, name)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="overflow-x-auto">
+            <table class="comparison-table w-full text-sm text-left">
+                <thead>
+                    <tr class="text-gray-600">
+                        <th class="py-2 pr-4">${t('table.title')}</th>
+                        ${columns.map(column => `<th class="py-2 pr-4 text-center" title="${componentLabel(column)}">${t(`components.short.${column}`)}</th>`).join('')}
+                        <th class="py-2 pr-4">${t('table.verdict')}</th>
+                        <th class="py-2"><span class="sr-only">${t('table.details')}</span></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+
+    container.querySelectorAll('[data-expand]').forEach(button => {
+        button.addEventListener('click', () => {
+            const detail = document.getElementById(`batch-detail-${button.dataset.expand}`);
+            const expanded = detail.classList.toggle('hidden') === false;
+            button.setAttribute('aria-expanded', String(expanded));
+            button.textContent = t(expanded ? 'table.hide' : 'table.details');
+        });
+    });
+}
+
+function formatBrl(value, currency) {
+    return value.toLocaleString(currentLocale, { style: 'currency', currency: currency || 'BRL', maximumFractionDigits: 0 });
+}
+
+function renderUpgradePath(path, currency, index) {
+    return `
+        <li class="border border-gray-200 rounded-lg p-4">
+            <div class="flex justify-between items-baseline gap-4 mb-2">
+                <span class="font-semibold text-gray-800">${index + 1}. ${escapeHtml(path.label)}</span>
+                <span class="font-bold text-blue-700 whitespace-nowrap">${formatBrl(path.totalBrl, currency)}</span>
+            </div>
+            <ul class="text-sm text-gray-600 mb-2">
+                ${path.items.map(item => `<li>${escapeHtml(item.componentName)}: ${escapeHtml(item.name)} — ${formatBrl(item.priceBrl, currency)}</li>`).join('')}
+            </ul>
+            <p class="text-sm text-green-700">${escapeHtml(t('upgrade.fixes', { titles: path.fixes.join(', ') }))}</p>
+        </li>
+    `;
+}
+
+// Caminhos de upgrade de /api/upgrade-plan, do que resolve mais títulos ao mais barato
+function renderUpgradePlan(container, plan) {
+    const found = plan.titles.filter(title => title.found);
+    const notFound = plan.titles.filter(title => !title.found);
+    const notes = [
+        ...plan.constraints,
+        ...(notFound.length ? [t('upgrade.notInCatalog', { titles: notFound.map(title => title.name).join(', ') })] : [])
+    ];
+
+    let body;
+    if (!found.length) {
+        body = `<p class="text-gray-600">${t('upgrade.noneInCatalog')}</p>`;
+    } else if (found.every(title => title.verdict === 'compatible')) {
+        body = `<p class="text-green-700">${t('upgrade.allCompatible')}</p>`;
+    } else if (plan.paths.length) {
+        body = `<ol class="space-y-3">${plan.paths.map((path, index) => renderUpgradePath(path, plan.currency, index)).join('')}</ol>`;
+    } else {
+        body = `<p class="text-gray-600">${t('upgrade.noPaths')}</p>`;
+    }
+
+    // O caminho completo só é destacado quando o orçamento não o cobre
+    if (plan.fullFix && plan.fullFix.totalBrl > plan.budgetBrl) {
+        body += `
+            <p class="text-sm text-gray-600 mt-4">
+                ${t('upgrade.fullFix', { total: formatBrl(plan.fullFix.totalBrl, plan.currency) })}
+                ${plan.fullFix.items.map(item => escapeHtml(item.name)).join(' + ')}.
+            </p>
+        `;
+    }
+
+    container.innerHTML = `
+        ${notes.map(note => `<p class="text-sm text-yellow-700 mb-2"><i class="fas fa-info-circle mr-1"></i>${escapeHtml(note)}</p>`).join('')}
+        ${body}
+        <p class="text-xs text-gray-400 mt-4">${escapeHtml(t('upgrade.disclaimer', { version: plan.priceCatalogVersion }))}</p>
+    `;
+}
@@ -0,0 +1,42 @@
+// Leitura de respostas Server-Sent Events (POST /api/chat/stream) a partir de fetch
+
+// Chama handlers[evento](dados) para cada evento recebido, até o fim do stream
+async function readEventStream(response, handlers) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+
+        frames.forEach(frame => {
+            let event = 'message';
+            let data = '';
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+
+            if (handlers[event]) handlers[event](data ? JSON.parse(data) : null);
+        });
+    }
+}
+
+// Extrai o texto parcial do campo "summary" de um JSON ainda incompleto
+function extractPartialSummary(partialJson) {
+    const match = partialJson.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+    if (!match) return '';
+
+    // Remove um escape cortado no fim antes de decodificar
+    const raw = match[1].replace(/\\u?[0-9a-fA-F]{0,3}$/, '');
+    try {
+        return JSON.parse(`"${raw}"`);
+    } catch (error) {
+        return raw;
+    }
+}
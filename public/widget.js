@@ -0,0 +1,231 @@
+// Widget "roda no meu PC?" para páginas de sites parceiros:
+//
+//   <div data-hardia-widget data-software="Cyberpunk 2077" data-lang="pt-BR"></div>
+//   <script src="https://<servidor do HardIA>/widget.js" async></script>
+//
+// Um questionário compacto (SO, CPU, GPU, RAM e disco) consulta POST /api/v1/compatibility,
+// só com o motor de regras, e mostra o veredito. A origem do site precisa estar em ALLOWED_ORIGINS.
+// Sem data-software, o visitante digita o título. Elementos criados depois do carregamento
+// são montados com HardIA.mount(elemento). O hardware informado fica salvo no navegador
+// e é verificado de novo em cada página com o widget
+
+(function () {
+    const script = document.currentScript || document.querySelector('script[src*="widget.js"]');
+    const API_ORIGIN = new URL(script ? script.src : '/', location.href).origin;
+
+    const SUPPORTED_LOCALES = ['pt-BR', 'en', 'es'];
+    const DEFAULT_LOCALE = 'pt-BR';
+    const STORAGE_KEY = 'hardia:widget';
+    const OS_OPTIONS = ['Windows 11', 'Windows 10', 'macOS', 'Linux'];
+    const STATUS_ICONS = { pass: '✅', fail: '❌', unknown: '⚠️' };
+    const MAX_TEXT_LENGTH = 200;
+
+    // Estilos isolados no shadow DOM, sem herdar nem vazar CSS da página
+    const STYLES = `
+        :host { display: block; max-width: 360px; font: 14px/1.4 system-ui, sans-serif; color: #1a1a2e; }
+        .card { border: 1px solid #e0e7ff; border-radius: 12px; padding: 16px; background: #fff; }
+        h3 { margin: 0 0 12px; font-size: 16px; color: #3f37c9; }
+        .software { margin: 0 0 12px; font-weight: 600; }
+        label { display: block; margin-bottom: 8px; font-size: 12px; color: #4b5563; }
+        input, select { display: block; box-sizing: border-box; width: 100%; margin-top: 2px; padding: 6px 8px;
+            border: 1px solid #d1d5db; border-radius: 6px; font: inherit; color: inherit; background: #fff; }
+        input:focus, select:focus, button:focus-visible { outline: 2px solid #4361ee; outline-offset: 1px; }
+        .row { display: flex; gap: 8px; }
+        .row label { flex: 1; }
+        button { width: 100%; margin-top: 4px; padding: 8px; border: 0; border-radius: 6px;
+            background: #4361ee; color: #fff; font: inherit; font-weight: 600; cursor: pointer; }
+        button:disabled { opacity: 0.6; cursor: wait; }
+        .result:not(:empty) { margin-top: 12px; }
+        .verdict { margin: 0 0 8px; font-weight: 700; }
+        .verdict-compatible { color: #15803d; }
+        .verdict-incompatible { color: #be123c; }
+        .verdict-unknown { color: #b45309; }
+        ul { margin: 0; padding: 0; list-style: none; }
+        li { margin-bottom: 4px; font-size: 12px; }
+        .error { margin: 0; color: #be123c; }
+        .footer { display: block; margin-top: 12px; font-size: 12px; color: #3f37c9; }
+    `;
+
+    const catalogs = {};
+    let styleSheet = null;
+
+    // "en-US" -> "en", "pt" -> "pt-BR", "es-419" -> "es"
+    function matchLocale(tag) {
+        if (!tag) return null;
+        const wanted = tag.toLowerCase();
+        return SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === wanted) ||
+            SUPPORTED_LOCALES.find(locale => locale.split('-')[0].toLowerCase() === wanted.split('-')[0]) ||
+            null;
+    }
+
+    // Textos da interface, nos mesmos catálogos do site do HardIA
+    function loadMessages(locale) {
+        if (!catalogs[locale]) {
+            catalogs[locale] = fetch(`${API_ORIGIN}/locales/${locale}.json`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Catálogo ${locale} indisponível`);
+                    return response.json();
+                })
+                .then(catalog => catalog.messages);
+        }
+        return catalogs[locale];
+    }
+
+    function readSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function save(hardware) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(hardware));
+        } catch (error) {
+            // localStorage indisponível: o visitante preenche de novo na próxima página
+        }
+    }
+
+    function el(tag, attributes = {}, children = []) {
+        const element = document.createElement(tag);
+        for (const [name, value] of Object.entries(attributes)) {
+            if (name === 'text') element.textContent = value;
+            else if (value !== undefined && value !== null) element.setAttribute(name, value);
+        }
+        element.append(...children);
+        return element;
+    }
+
+    function field(label, control) {
+        return el('label', {}, [label, control]);
+    }
+
+    function adoptStyles(root) {
+        if ('adoptedStyleSheets' in root && typeof CSSStyleSheet === 'function') {
+            if (!styleSheet) {
+                styleSheet = new CSSStyleSheet();
+                styleSheet.replaceSync(STYLES);
+            }
+            root.adoptedStyleSheets = [styleSheet];
+        } else {
+            root.append(el('style', { text: STYLES }));
+        }
+    }
+
+    function renderForm(messages, software, saved) {
+        const t = key => messages[key] || key;
+        const text = (name, label, placeholder) => field(label, el('input', {
+            name, required: '', maxlength: MAX_TEXT_LENGTH, placeholder, value: saved?.[name]
+        }));
+        const number = (name, label, min) => field(label, el('input', {
+            name, type: 'number', required: '', min, max: name === 'ramGb' ? 4096 : 1000000, step: 'any',
+            inputmode: 'decimal', value: saved?.[name]
+        }));
+        const os = el('select', { name: 'os', required: '' },
+            OS_OPTIONS.map(option => el('option', { value: option, text: option })));
+        if (saved?.os && OS_OPTIONS.includes(saved.os)) os.value = saved.os;
+
+        return el('form', { class: 'card' }, [
+            el('h3', { text: t('widget.title') }),
+            software
+                ? el('p', { class: 'software', text: software })
+                : text('software', t('widget.software'), t('widget.softwarePlaceholder')),
+            field(t('components.os'), os),
+            text('cpu', t('components.cpu'), t('widget.cpuPlaceholder')),
+            text('gpu', t('components.gpu'), t('widget.gpuPlaceholder')),
+            el('div', { class: 'row' }, [
+                number('ramGb', t('widget.ramGb'), 1),
+                number('storageGb', t('widget.storageGb'), 0)
+            ]),
+            el('button', { type: 'submit', text: t('widget.check') }),
+            el('div', { class: 'result', role: 'status', 'aria-live': 'polite' }),
+            el('a', { class: 'footer', href: `${API_ORIGIN}/`, target: '_blank', rel: 'noopener', text: t('widget.fullTest') })
+        ]);
+    }
+
+    function renderResult(container, messages, compatibility) {
+        const t = key => messages[key] || key;
+        container.replaceChildren(
+            el('p', { class: `verdict verdict-${compatibility.verdict}`, text: t(`verdicts.${compatibility.verdict}`) }),
+            el('ul', {}, compatibility.components.map(item =>
+                el('li', { text: `${STATUS_ICONS[item.status]} ${item.name}: ${item.reason}` })))
+        );
+    }
+
+    async function check(form, messages, locale, software) {
+        const t = key => messages[key] || key;
+        const result = form.querySelector('.result');
+        const button = form.querySelector('button');
+        const values = Object.fromEntries(new FormData(form));
+        const hardware = {
+            os: values.os,
+            cpu: values.cpu.trim(),
+            gpu: values.gpu.trim(),
+            ramGb: Number(values.ramGb),
+            storageGb: Number(values.storageGb)
+        };
+
+        button.disabled = true;
+        button.textContent = t('widget.checking');
+        try {
+            const response = await fetch(`${API_ORIGIN}/api/v1/compatibility?lang=${encodeURIComponent(locale)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ hardware, software: software || values.software.trim() })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                result.replaceChildren(el('p', { class: 'error', text: data.error }));
+                return;
+            }
+            save(hardware);
+            renderResult(result, messages, data.data.compatibility);
+        } catch (error) {
+            console.error('HardIA: falha ao verificar a compatibilidade', error);
+            result.replaceChildren(el('p', { class: 'error', text: t('widget.error') }));
+        } finally {
+            button.disabled = false;
+            button.textContent = t('widget.check');
+        }
+    }
+
+    async function mount(element) {
+        if (!element || element.shadowRoot) return;
+        const root = element.attachShadow({ mode: 'open' });
+        adoptStyles(root);
+
+        const locale = matchLocale(element.dataset.lang) || matchLocale(document.documentElement.lang) ||
+            (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+        let messages;
+        try {
+            messages = await loadMessages(locale);
+        } catch (error) {
+            console.error('HardIA: não foi possível carregar o widget', error);
+            return;
+        }
+
+        const software = (element.dataset.software || '').trim().slice(0, MAX_TEXT_LENGTH);
+        const saved = readSaved();
+        const form = renderForm(messages, software, saved);
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            check(form, messages, locale, software);
+        });
+        root.append(form);
+
+        // Hardware já informado em outra página do parceiro: o veredito aparece direto
+        if (saved && software && form.checkValidity()) check(form, messages, locale, software);
+    }
+
+    function mountAll() {
+        document.querySelectorAll('[data-hardia-widget]').forEach(mount);
+    }
+
+    window.HardIA = { mount };
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountAll);
+    } else {
+        mountAll();
+    }
+})();
@@ -0,0 +1,173 @@
+// Armazenamento das análises em um arquivo JSON Lines local, para permalinks compartilháveis
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "..", "data", "analyses.jsonl");
+// Análises mais antigas que isso, ou além das mais recentes, deixam de ser servidas e saem do arquivo
+const RETENTION_DAYS = 180;
+const MAX_RECORDS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 16 bytes aleatórios em base64url: 22 caracteres, impossíveis de adivinhar
+const ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+function generateId() {
+    return crypto.randomBytes(16).toString("base64url");
+}
+
+function isValidId(id) {
+    return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+// Dados exibidos na listagem (sem o perfil e a análise completos)
+function summarize(record) {
+    return {
+        id: record.id,
+        software: record.software,
+        verdict: record.analysis.verdict,
+        score: record.analysis.score,
+        model: record.model,
+        createdAt: record.createdAt
+    };
+}
+
+/**
+ * Cria o repositório de análises persistidas em `filePath` (um JSON por linha). O arquivo é lido uma vez;
+ * cada análise nova é acrescentada ao final, em fila. As análises fora da retenção (`retentionDays`,
+ * no máximo `maxRecords`) saem da memória na hora e do arquivo quando ele é compactado: reescrito
+ * (arquivo temporário + rename) só com as vigentes, assim que as descartadas passam das vigentes.
+ * Um arquivo do formato anterior (`analyses.json`, com a lista inteira) é importado na primeira leitura.
+ */
+function createAnalysisStore(filePath = DEFAULT_FILE, { retentionDays = RETENTION_DAYS, maxRecords = MAX_RECORDS } = {}) {
+    // Por ID, em ordem de criação
+    let records = null;
+    let loading = null;
+    // Linhas do arquivo que não correspondem mais a uma análise vigente
+    let staleLines = 0;
+    let pendingWrite = Promise.resolve();
+
+    function enqueue(write) {
+        pendingWrite = pendingWrite.catch(() => {}).then(write);
+        return pendingWrite;
+    }
+
+    // Retorna { loaded, legacy }; `legacy` indica que as análises vieram do arquivo do formato anterior
+    async function readRecords() {
+        try {
+            // Uma linha truncada (ex.: queda durante a gravação) não invalida as demais
+            const loaded = (await fs.readFile(filePath, "utf8")).split("\n").filter(Boolean).flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    staleLines++;
+                    return [];
+                }
+            });
+            return { loaded, legacy: false };
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+
+        const legacyFile = filePath.replace(/\.jsonl$/, ".json");
+        if (legacyFile === filePath) return { loaded: [], legacy: false };
+        try {
+            return { loaded: JSON.parse(await fs.readFile(legacyFile, "utf8")).analyses || [], legacy: true };
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            return { loaded: [], legacy: false };
+        }
+    }
+
+    function load() {
+        loading = loading || readRecords().then(async ({ loaded, legacy }) => {
+            records = new Map(loaded.map(record => [record.id, record]));
+            staleLines += loaded.length - records.size;
+            expire();
+            await (legacy ? compact() : compactIfStale());
+            return records;
+        });
+        // Uma falha de leitura não fica guardada: a próxima chamada tenta de novo
+        return loading.catch(error => {
+            loading = null;
+            throw error;
+        });
+    }
+
+    // Descarta da memória as análises mais antigas que a retenção ou além do limite; retorna quantas
+    function expire(now = new Date()) {
+        const from = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+        let removed = 0;
+        for (const record of records.values()) {
+            if (record.createdAt >= from && records.size <= maxRecords) break;
+            records.delete(record.id);
+            removed++;
+        }
+        staleLines += removed;
+        return removed;
+    }
+
+    function compact() {
+        staleLines = 0;
+        const data = [...records.values()].map(record => `${JSON.stringify(record)}\n`).join("");
+        return enqueue(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tempFile = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, data);
+            await fs.rename(tempFile, filePath);
+        });
+    }
+
+    function compactIfStale() {
+        return staleLines > records.size ? compact() : pendingWrite;
+    }
+
+    return {
+        async create({ profile, software, compatibility, analysis, model, prompt = null }) {
+            await load();
+            const record = {
+                id: generateId(),
+                software,
+                profile,
+                compatibility,
+                analysis,
+                model,
+                prompt,
+                createdAt: new Date().toISOString()
+            };
+            records.set(record.id, record);
+            const line = `${JSON.stringify(record)}\n`;
+            await enqueue(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, line);
+            });
+            expire();
+            await compactIfStale();
+            return record;
+        },
+
+        async get(id) {
+            if (!isValidId(id)) return null;
+            return (await load()).get(id) || null;
+        },
+
+        // Só lista IDs já conhecidos pelo cliente: a listagem não pode revelar análises de terceiros
+        async list(ids) {
+            await load();
+            return ids
+                .map(id => records.get(id))
+                .filter(Boolean)
+                .map(summarize);
+        },
+
+        // Descarta as análises que saíram da retenção desde a última gravação; retorna quantas
+        async prune(now = new Date()) {
+            await load();
+            const removed = expire(now);
+            await compactIfStale();
+            return removed;
+        }
+    };
+}
+
+module.exports = { ID_PATTERN, createAnalysisStore, isValidId };
@@ -0,0 +1,163 @@
+// Contrato estruturado da análise: esquema, validação, reparo da saída do modelo
+// e conversão para Markdown
+
+const { COMPONENTS, componentName, verdictLabel, tableHeader, describeYours } = require("./compatibility");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+const { validateSchema, schemaErrorMessage } = require("./schema");
+
+const VERDICTS = ["compatible", "incompatible", "unknown"];
+const STATUSES = ["pass", "fail", "unknown"];
+// Limites dos textos: o resumo, os itens da tabela e as descrições de gargalos e upgrades
+const MAX_SUMMARY_LENGTH = 2000;
+const MAX_FIELD_LENGTH = 300;
+const MAX_TEXT_LENGTH = 600;
+
+// Esquema da resposta (subconjunto de JSON Schema, também enviado ao modelo como referência)
+const ANALYSIS_SCHEMA = {
+    type: "object",
+    required: ["verdict", "summary", "components", "bottlenecks", "upgrades", "score"],
+    properties: {
+        verdict: { type: "string", enum: VERDICTS },
+        summary: { type: "string", minLength: 1, maxLength: MAX_SUMMARY_LENGTH },
+        components: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["component", "required", "yours", "status"],
+                properties: {
+                    component: { type: "string", enum: COMPONENTS },
+                    required: { type: "string", maxLength: MAX_FIELD_LENGTH },
+                    yours: { type: "string", maxLength: MAX_FIELD_LENGTH },
+                    status: { type: "string", enum: STATUSES },
+                    note: { type: "string", maxLength: MAX_FIELD_LENGTH }
+                }
+            }
+        },
+        bottlenecks: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["component", "description"],
+                properties: {
+                    component: { type: "string", enum: COMPONENTS },
+                    description: { type: "string", minLength: 1, maxLength: MAX_TEXT_LENGTH }
+                }
+            }
+        },
+        upgrades: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["component", "suggestion"],
+                properties: {
+                    component: { type: "string", enum: COMPONENTS },
+                    suggestion: { type: "string", minLength: 1, maxLength: MAX_TEXT_LENGTH }
+                }
+            }
+        },
+        score: { type: "integer", minimum: 1, maximum: 10 }
+    }
+};
+
+// Problemas em texto ("$.score: maior que 10"), para o log e para o pedido de correção ao modelo
+function validateAnalysis(analysis, locale = DEFAULT_LOCALE) {
+    return validateSchema(ANALYSIS_SCHEMA, analysis).map(error => `${error.path}: ${schemaErrorMessage(error, locale)}`);
+}
+
+// Extrai o objeto JSON do texto do modelo, tolerando blocos ```json e texto ao redor
+function extractJson(text) {
+    const unfenced = String(text).replace(/```(?:json)?/gi, "").trim();
+    const start = unfenced.indexOf("{");
+    const end = unfenced.lastIndexOf("}");
+    if (start === -1 || end <= start) return null;
+
+    try {
+        return JSON.parse(unfenced.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+}
+
+// Corrige desvios comuns do modelo antes da validação (nota "8/10", listas ausentes...)
+function repairAnalysis(raw) {
+    if (!raw || typeof raw !== "object") return raw;
+    const analysis = { ...raw };
+
+    if (typeof analysis.score === "string") {
+        analysis.score = parseFloat(analysis.score.replace(",", "."));
+    }
+    if (typeof analysis.score === "number" && Number.isFinite(analysis.score)) {
+        analysis.score = Math.min(10, Math.max(1, Math.round(analysis.score)));
+    }
+    if (typeof analysis.verdict === "string") {
+        analysis.verdict = analysis.verdict.trim().toLowerCase();
+    }
+    for (const key of ["components", "bottlenecks", "upgrades"]) {
+        if (analysis[key] === undefined || analysis[key] === null) analysis[key] = [];
+    }
+    return analysis;
+}
+
+/**
+ * Interpreta o texto do modelo como análise estruturada.
+ * Retorna { analysis } se válido, ou { errors } com os problemas encontrados, no idioma `locale`.
+ */
+function parseAnalysis(text, locale = DEFAULT_LOCALE) {
+    const parsed = extractJson(text);
+    if (!parsed) {
+        return { errors: [`$: ${t(locale, "analysis.noJson")}`] };
+    }
+
+    const analysis = repairAnalysis(parsed);
+    const errors = validateAnalysis(analysis, locale);
+    return errors.length ? { errors } : { analysis };
+}
+
+// O veredito e a tabela do motor de regras prevalecem sobre os do modelo
+function applyCompatibility(analysis, compatibility) {
+    return {
+        ...analysis,
+        verdict: compatibility.verdict,
+        components: compatibility.components.map(item => ({
+            component: item.component,
+            required: item.required,
+            yours: describeYours(item),
+            status: item.status,
+            note: item.reason
+        }))
+    };
+}
+
+const STATUS_LABELS = { pass: "✅", fail: "❌", unknown: "⚠️" };
+
+function formatAnalysisMarkdown(analysis, softwareName, locale = DEFAULT_LOCALE) {
+    const lines = [`## ${verdictLabel(analysis.verdict, locale)}${softwareName ? `: ${softwareName}` : ""}`, ""];
+
+    if (analysis.components.length) {
+        lines.push(tableHeader(locale), "|---|---|---|---|");
+        for (const item of analysis.components) {
+            lines.push(`| ${componentName(item.component, locale)} | ${item.required} | ${item.yours} | ${STATUS_LABELS[item.status]} ${item.note || ""} |`);
+        }
+        lines.push("");
+    }
+
+    lines.push(`**${t(locale, "markdown.summary")}:** ${analysis.summary}`, "");
+
+    if (analysis.bottlenecks.length) {
+        lines.push(`**${t(locale, "markdown.bottlenecks")}:**`, ...analysis.bottlenecks.map(item => `- ${componentName(item.component, locale)}: ${item.description}`), "");
+    }
+    if (analysis.upgrades.length) {
+        lines.push(`**${t(locale, "markdown.upgrades")}:**`, ...analysis.upgrades.map(item => `- ${item.suggestion}`), "");
+    }
+
+    lines.push(`**${t(locale, "markdown.score")}:** ${analysis.score}/10`);
+    return lines.join("\n");
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    validateAnalysis,
+    parseAnalysis,
+    applyCompatibility,
+    formatAnalysisMarkdown
+};
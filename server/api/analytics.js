@@ -0,0 +1,283 @@
+// Eventos anônimos de uso (um por análise entregue), gravados em um arquivo JSON Lines local,
+// e os agregados do painel /admin: títulos mais pedidos, componentes que mais reprovam,
+// vereditos por nível de CPU/GPU, custo por modelo e evolução diária
+
+const fs = require("fs/promises");
+const path = require("path");
+const { resolveHardware } = require("./compatibility");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "..", "data", "analytics.jsonl");
+const MAX_SOFTWARE_LENGTH = 100;
+const TOP_SOFTWARE = 10;
+const VERDICTS = ["compatible", "incompatible", "unknown"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Eventos mais antigos que isso são descartados por `prune` (o painel consulta até 365 dias)
+const RETENTION_DAYS = 366;
+
+// Horário arredondado para a hora: suficiente para as tendências e sem casar o evento com os logs de acesso
+function hourOf(date) {
+    const hour = new Date(date);
+    hour.setUTCMinutes(0, 0, 0);
+    return hour.toISOString();
+}
+
+/**
+ * Evento de uma análise entregue. Guarda o título, o veredito, os componentes reprovados e as faixas
+ * do hardware (sistema, RAM, nível de CPU/GPU), nunca o IP, a chave de API, o ID da requisição
+ * ou o texto digitado nos campos "Outro".
+ */
+function analysisEvent({ profile, compatibility, analysis, source, provider, model, prompt, tokensUsed, latencyMs, cached, locale, at = new Date() }) {
+    return {
+        at: hourOf(at),
+        source,
+        software: compatibility.software.name.replace(/\s+/g, " ").trim().slice(0, MAX_SOFTWARE_LENGTH),
+        softwareId: compatibility.software.id,
+        verdict: analysis.verdict,
+        failed: compatibility.components.filter(item => item.status === "fail").map(item => item.component),
+        bottlenecks: [...new Set(analysis.bottlenecks.map(item => item.component))],
+        os: profile.os.value,
+        ram: profile.ram.value,
+        cpuTier: resolveHardware("cpu", profile.cpu).tier,
+        gpuTier: resolveHardware("gpu", profile.gpu).tier,
+        provider,
+        model,
+        prompt,
+        tokens: typeof tokensUsed === "number" ? tokensUsed : null,
+        // Análises do cache não medem o provedor; ficam fora das médias de latência
+        latencyMs: cached ? null : Math.round(latencyMs),
+        cached: Boolean(cached),
+        locale
+    };
+}
+
+// Eventos do arquivo, linha a linha; uma linha truncada (ex.: queda durante a gravação) não invalida as demais
+async function* readEvents(filePath) {
+    let handle;
+    try {
+        handle = await fs.open(filePath);
+    } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw error;
+    }
+    try {
+        for await (const line of handle.readLines()) {
+            if (!line) continue;
+            try {
+                yield JSON.parse(line);
+            } catch {
+                // Linha ilegível: ignorada
+            }
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Cria o repositório de eventos em `filePath` (um JSON por linha). Os eventos não ficam em memória:
+ * cada evento é acrescentado ao final, em fila, e as consultas leem o arquivo sob demanda.
+ * `prune` descarta os eventos mais antigos que `retentionDays`, para o arquivo não crescer sem limite.
+ */
+function createAnalyticsStore(filePath = DEFAULT_FILE, { retentionDays = RETENTION_DAYS } = {}) {
+    let pendingWrite = Promise.resolve();
+
+    function enqueue(write) {
+        pendingWrite = pendingWrite.catch(() => {}).then(write);
+        return pendingWrite;
+    }
+
+    return {
+        record(event) {
+            return enqueue(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, `${JSON.stringify(event)}\n`);
+            });
+        },
+
+        // Eventos a partir de `since` (Date), em ordem cronológica, lidos do arquivo à medida que são consumidos
+        async* list(since) {
+            const from = hourOf(since);
+            await pendingWrite.catch(() => {});
+            for await (const event of readEvents(filePath)) {
+                if (event.at >= from) yield event;
+            }
+        },
+
+        // Reescreve o arquivo só com os eventos da janela de retenção; retorna quantos foram descartados
+        prune(now = new Date()) {
+            const from = hourOf(new Date(now.getTime() - retentionDays * DAY_MS));
+            return enqueue(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                const tempFile = `${filePath}.${process.pid}.tmp`;
+                const output = await fs.open(tempFile, "w");
+                let removed = 0;
+                try {
+                    for await (const event of readEvents(filePath)) {
+                        if (event.at >= from) await output.write(`${JSON.stringify(event)}\n`);
+                        else removed++;
+                    }
+                } finally {
+                    await output.close();
+                }
+                if (removed) await fs.rename(tempFile, filePath);
+                else await fs.rm(tempFile);
+                return removed;
+            });
+        }
+    };
+}
+
+function countInto(counts, key) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function emptyVerdicts() {
+    return Object.fromEntries(VERDICTS.map(verdict => [verdict, 0]));
+}
+
+// Grupo `key` de `groups`, criado na primeira vez com os dados de `create` e contadores zerados
+function groupOf(groups, key, create) {
+    if (!groups.has(key)) groups.set(key, { ...create(), total: 0, verdicts: emptyVerdicts() });
+    return groups.get(key);
+}
+
+function countVerdict(group, verdict) {
+    group.total++;
+    group.verdicts[verdict] = (group.verdicts[verdict] || 0) + 1;
+    return group;
+}
+
+function average([sum, count]) {
+    return count ? Math.round(sum / count) : null;
+}
+
+function rankComponents(counts, total) {
+    return [...counts]
+        .map(([component, count]) => ({ component, count, rate: count / total }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// Vereditos por nível de desempenho; hardware não identificado fica no nível null
+function verdictsByTier(groups) {
+    return [...groups.values()]
+        .map(({ tier, total, verdicts }) => ({ tier, total, ...verdicts }))
+        .sort((a, b) => (a.tier ?? Infinity) - (b.tier ?? Infinity));
+}
+
+/**
+ * Agregados do painel para os eventos dos últimos `days` dias (terminando em `now`), em uma única
+ * passada por `events` (lista ou iterável assíncrono, como o de `list`).
+ * Componentes reprovados e vereditos por nível consideram só os títulos do catálogo,
+ * os únicos com veredito do motor de regras.
+ */
+async function summarizeAnalytics(events, { days, now = new Date() }) {
+    const overall = { total: 0, verdicts: emptyVerdicts() };
+    const titles = new Set();
+    const software = new Map();
+    const models = new Map();
+    const byDay = new Map();
+    const failed = new Map();
+    const bottlenecks = new Map();
+    const tiers = { cpu: new Map(), gpu: new Map() };
+    let cached = 0;
+    let tokens = 0;
+    let inCatalog = 0;
+
+    for await (const event of events) {
+        countVerdict(overall, event.verdict);
+        if (event.cached) cached++;
+        tokens += event.tokens || 0;
+        titles.add(event.softwareId || event.software.toLowerCase());
+        countVerdict(groupOf(software, event.softwareId || `?${event.software.toLowerCase()}`,
+            () => ({ software: event.software, inCatalog: Boolean(event.softwareId) })), event.verdict);
+        countVerdict(groupOf(byDay, event.at.slice(0, 10), () => ({})), event.verdict);
+
+        const model = countVerdict(groupOf(models, `${event.provider}\n${event.model}`,
+            () => ({ provider: event.provider, model: event.model, generated: 0, tokens: [0, 0], latencyMs: [0, 0] })), event.verdict);
+        // Análises do cache não medem o provedor; ficam fora das médias
+        if (!event.cached) {
+            model.generated++;
+            for (const field of ["tokens", "latencyMs"]) {
+                if (Number.isFinite(event[field])) {
+                    model[field][0] += event[field];
+                    model[field][1]++;
+                }
+            }
+        }
+
+        for (const component of event.bottlenecks) countInto(bottlenecks, component);
+        if (!event.softwareId) continue;
+        inCatalog++;
+        for (const component of event.failed) countInto(failed, component);
+        for (const [kind, tier] of [["cpu", event.cpuTier ?? null], ["gpu", event.gpuTier ?? null]]) {
+            countVerdict(groupOf(tiers[kind], tier, () => ({ tier })), event.verdict);
+        }
+    }
+
+    // Um ponto por dia (UTC), inclusive os dias sem análises
+    const trend = Array.from({ length: days }, (_, index) => {
+        const date = new Date(now.getTime() - (days - 1 - index) * DAY_MS).toISOString().slice(0, 10);
+        const day = byDay.get(date);
+        return { date, analyses: day ? day.total : 0, ...(day ? day.verdicts : emptyVerdicts()) };
+    });
+
+    const { total, verdicts } = overall;
+    return {
+        days,
+        from: trend[0].date,
+        to: trend[trend.length - 1].date,
+        totals: {
+            analyses: total,
+            software: titles.size,
+            cached,
+            cacheRate: total ? cached / total : 0,
+            tokens,
+            ...verdicts
+        },
+        topSoftware: [...software.values()]
+            .sort((a, b) => b.total - a.total)
+            .slice(0, TOP_SOFTWARE)
+            .map(item => ({ software: item.software, inCatalog: item.inCatalog, count: item.total, ...item.verdicts })),
+        failedComponents: inCatalog ? rankComponents(failed, inCatalog) : [],
+        bottlenecks: total ? rankComponents(bottlenecks, total) : [],
+        verdictsByTier: {
+            cpu: verdictsByTier(tiers.cpu),
+            gpu: verdictsByTier(tiers.gpu)
+        },
+        models: [...models.values()].map(item => ({
+            provider: item.provider,
+            model: item.model,
+            analyses: item.total,
+            generated: item.generated,
+            avgTokens: average(item.tokens),
+            avgLatencyMs: average(item.latencyMs)
+        })).sort((a, b) => b.analyses - a.analyses),
+        trend
+    };
+}
+
+const CSV_COLUMNS = ["at", "source", "software", "softwareId", "verdict", "failed", "bottlenecks", "os", "ram",
+    "cpuTier", "gpuTier", "provider", "model", "prompt", "tokens", "latencyMs", "cached", "locale"];
+
+// Campo CSV entre aspas quando preciso; títulos digitados que começam com = + - @ são
+// prefixados com ' para não virarem fórmulas na planilha
+function csvField(value) {
+    let text = Array.isArray(value) ? value.join(";") : value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Linhas do CSV (cabeçalho e um evento por linha), geradas à medida que `events` é lido
+async function* eventsToCsv(events) {
+    yield `${CSV_COLUMNS.join(",")}\r\n`;
+    for await (const event of events) {
+        yield `${CSV_COLUMNS.map(column => csvField(event[column])).join(",")}\r\n`;
+    }
+}
+
+module.exports = {
+    analysisEvent,
+    createAnalyticsStore,
+    summarizeAnalytics,
+    eventsToCsv
+};
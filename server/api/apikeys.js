@@ -0,0 +1,226 @@
+// Chaves de API dos clientes (ferramentas internas, sites parceiros), salvas em um arquivo JSON local.
+// Só o hash da chave é guardado; a chave em si aparece uma única vez, na criação
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "..", "data", "apikeys.json");
+const KEY_PREFIX = "hk_";
+const KEY_PATTERN = /^hk_[A-Za-z0-9_-]{32}$/;
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+// As cobranças ficam em memória e são gravadas juntas, no máximo uma vez por intervalo
+const FLUSH_DELAY_MS = 1000;
+
+function hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Mês de cobrança do orçamento de tokens ("2026-10"), em UTC
+function billingPeriod(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+// Segundos até a virada do mês, quando o orçamento de tokens é renovado
+function secondsUntilReset(date = new Date()) {
+    const next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    return Math.ceil((next - date.getTime()) / 1000);
+}
+
+// Uso do mês corrente; o de meses anteriores é descartado
+function currentUsage(record, period = billingPeriod()) {
+    return record.usage?.period === period ? record.usage : { period, requests: 0, tokens: 0 };
+}
+
+// Tokens restantes no mês (null = sem orçamento de tokens)
+function remainingTokens(record) {
+    if (record.monthlyTokens === null) return null;
+    return Math.max(0, record.monthlyTokens - currentUsage(record).tokens);
+}
+
+// Dados exibidos para o administrador (sem o hash da chave)
+function describe(record) {
+    const { keyHash, ...visible } = record;
+    return { ...visible, usage: currentUsage(record), remainingTokens: remainingTokens(record) };
+}
+
+// Limites de uma chave: cota por hora obrigatória, orçamento mensal de tokens opcional (null = ilimitado)
+function validateLimits({ requestsPerHour, monthlyTokens }, partial = false) {
+    if (!(partial && requestsPerHour === undefined) &&
+        (!Number.isInteger(requestsPerHour) || requestsPerHour < 1 || requestsPerHour > 1000000)) {
+        return "requestsPerHour";
+    }
+    if (monthlyTokens !== undefined && monthlyTokens !== null &&
+        (!Number.isInteger(monthlyTokens) || monthlyTokens < 1)) {
+        return "monthlyTokens";
+    }
+    return null;
+}
+
+/**
+ * Cria o repositório de chaves em `filePath`, no mesmo esquema do repositório de análises:
+ * o arquivo é lido uma vez e reescrito inteiro, em fila. Alterações do administrador são gravadas
+ * na hora; as cobranças, agrupadas a cada `flushDelayMs` (e em `flush()`, ao encerrar o servidor).
+ * Falhas dessas gravações agrupadas são registradas em `logger`.
+ */
+function createApiKeyStore(filePath = DEFAULT_FILE, { flushDelayMs = FLUSH_DELAY_MS, logger = console } = {}) {
+    let records = null;
+    let pendingWrite = Promise.resolve();
+    let flushTimer = null;
+    // Tokens reservados por chave para as chamadas à IA em andamento (só em memória)
+    const reserved = new Map();
+
+    async function load() {
+        if (records) return records;
+        try {
+            records = JSON.parse(await fs.readFile(filePath, "utf8")).keys || [];
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            records = [];
+        }
+        return records;
+    }
+
+    function persist() {
+        const data = JSON.stringify({ keys: records }, null, 2);
+        pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tempFile = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, data);
+            await fs.rename(tempFile, filePath);
+        });
+        return pendingWrite;
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            persist().catch(error => logger.error("Falha ao gravar o uso das chaves de API", { error: error.message }));
+        }, flushDelayMs);
+        flushTimer.unref();
+    }
+
+    // Orçamento ainda livre: o restante do mês menos o que está reservado (null = sem orçamento)
+    function availableTokens(record) {
+        const remaining = remainingTokens(record);
+        return remaining === null ? null : Math.max(0, remaining - (reserved.get(record.id) || 0));
+    }
+
+    function release(id, tokens) {
+        const left = (reserved.get(id) || 0) - tokens;
+        if (left > 0) reserved.set(id, left);
+        else reserved.delete(id);
+    }
+
+    async function find(id) {
+        if (typeof id !== "string" || !ID_PATTERN.test(id)) return null;
+        return (await load()).find(record => record.id === id) || null;
+    }
+
+    return {
+        // Retorna { key, record }; `key` não pode ser recuperada depois
+        async create({ name, requestsPerHour, monthlyTokens = null }) {
+            await load();
+            const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+            const record = {
+                id: crypto.randomBytes(8).toString("hex"),
+                name,
+                keyHash: hashKey(key),
+                keyPreview: `${key.slice(0, 7)}…`,
+                requestsPerHour,
+                monthlyTokens,
+                createdAt: new Date().toISOString(),
+                revokedAt: null,
+                usage: currentUsage({})
+            };
+            records.push(record);
+            await persist();
+            return { key, record: describe(record) };
+        },
+
+        async list() {
+            return (await load()).map(describe);
+        },
+
+        async get(id) {
+            const record = await find(id);
+            return record && describe(record);
+        },
+
+        async update(id, changes) {
+            const record = await find(id);
+            if (!record) return null;
+            for (const field of ["name", "requestsPerHour", "monthlyTokens"]) {
+                if (changes[field] !== undefined) record[field] = changes[field];
+            }
+            await persist();
+            return describe(record);
+        },
+
+        async revoke(id) {
+            const record = await find(id);
+            if (!record) return null;
+            record.revokedAt = record.revokedAt || new Date().toISOString();
+            await persist();
+            return describe(record);
+        },
+
+        // Registro ativo correspondente à chave enviada pelo cliente, ou null
+        async authenticate(key) {
+            if (typeof key !== "string" || !KEY_PATTERN.test(key)) return null;
+            const keyHash = hashKey(key);
+            const record = (await load()).find(item => item.keyHash === keyHash);
+            return record && !record.revokedAt ? describe(record) : null;
+        },
+
+        /**
+         * Reserva até `tokens` do orçamento antes da chamada à IA, para que requisições simultâneas
+         * não passem juntas do orçamento. Retorna os tokens reservados (0 para chaves sem orçamento)
+         * ou null quando o orçamento livre não cobre a reserva.
+         */
+        async reserve(id, tokens) {
+            const record = await find(id);
+            if (!record) return null;
+            const available = availableTokens(record);
+            if (available === null) return 0;
+
+            // Uma reserva maior que o orçamento inteiro bloquearia a chave para sempre
+            const amount = Math.min(tokens, record.monthlyTokens);
+            if (available < amount) return null;
+            reserved.set(id, (reserved.get(id) || 0) + amount);
+            return amount;
+        },
+
+        // Devolve uma reserva não usada (erro ou cancelamento antes da cobrança)
+        release(id, tokens) {
+            if (tokens > 0) release(id, tokens);
+        },
+
+        // Registra uma requisição atendida e os tokens consumidos no mês corrente, liberando a reserva feita para ela
+        async charge(id, tokens, reservation = 0) {
+            const record = await find(id);
+            if (reservation > 0) release(id, reservation);
+            if (!record) return null;
+            const usage = currentUsage(record);
+            record.usage = { ...usage, requests: usage.requests + 1, tokens: usage.tokens + tokens };
+            scheduleFlush();
+            return describe(record);
+        },
+
+        // Grava as cobranças pendentes
+        async flush() {
+            if (!flushTimer) return pendingWrite.catch(() => {});
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            return persist();
+        }
+    };
+}
+
+module.exports = {
+    createApiKeyStore,
+    validateLimits,
+    remainingTokens,
+    secondsUntilReset
+};
@@ -0,0 +1,53 @@
+// Modo em lote: vários títulos analisados para o mesmo perfil de hardware
+
+const { normalizeText } = require("./text");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Valida a lista de títulos (array ou texto único), removendo repetidos.
+ * Retorna { titles } ou { error } com a mensagem para o usuário.
+ */
+function parseTitles(software, maxTitles, locale = DEFAULT_LOCALE) {
+    const list = Array.isArray(software) ? software : [software];
+    const titles = [];
+    const seen = new Set();
+
+    for (const title of list) {
+        if (typeof title !== "string" || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+            return { error: t(locale, "batch.missingTitles") };
+        }
+        const key = normalizeText(title);
+        if (!seen.has(key)) {
+            seen.add(key);
+            titles.push(title.trim());
+        }
+    }
+
+    if (!titles.length) {
+        return { error: t(locale, "batch.missingTitles") };
+    }
+    if (titles.length > maxTitles) {
+        return { error: t(locale, "batch.tooManyTitles", { max: maxTitles }) };
+    }
+    return { titles };
+}
+
+// Executa `fn` para cada item com no máximo `limit` execuções simultâneas, preservando a ordem
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+module.exports = { parseTitles, mapWithConcurrency };
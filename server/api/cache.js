@@ -0,0 +1,146 @@
+// Cache das análises geradas pela IA: perfis equivalentes para o mesmo título reaproveitam a resposta.
+// Camada em memória (LRU) e, opcionalmente, uma camada em disco com um arquivo JSON por chave
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { normalizeText } = require("./text");
+const { findSoftware } = require("./compatibility");
+const { HARDWARE_FIELDS } = require("./profile");
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// Resposta de hardware normalizada: o modelo confirmado do catálogo vale mais que o texto digitado
+function normalizeAnswer(answer) {
+    if (answer.catalogId) return `catalog:${answer.catalogId}`;
+    return answer.value === "other" ? `other:${normalizeText(answer.label)}` : answer.value;
+}
+
+function normalizeDetail(value) {
+    if (Array.isArray(value)) return [...value].sort();
+    return typeof value === "string" ? normalizeText(value) : value;
+}
+
+/**
+ * Chave do cache para a análise de `profile` (resultado de parseProfile).
+ * Caixa, espaços e apelidos do título ("GTA V", "Grand Theft Auto 5") resultam na mesma chave.
+ * `scope` separa o que muda a resposta fora do perfil: idioma, provedor, modelo, versão do catálogo.
+ */
+function analysisCacheKey(profile, scope = {}) {
+    const software = findSoftware(profile.software);
+    const normalized = {
+        hardware: HARDWARE_FIELDS.map(field => normalizeAnswer(profile[field])),
+        details: Object.keys(profile.details || {}).sort()
+            .map(id => [id, normalizeDetail(profile.details[id].value)]),
+        software: software ? `catalog:${software.id}` : normalizeText(profile.software),
+        scope: Object.keys(scope).sort().map(name => [name, scope[name]])
+    };
+    return crypto.createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+}
+
+/**
+ * Cria o cache de respostas.
+ * - maxEntries / ttlMs: tamanho e validade da camada em memória (ttlMs 0 desativa o cache)
+ * - directory / diskTtlMs: pasta e validade da camada em disco (sem `directory`, só memória)
+ * Falhas de leitura ou escrita em disco são registradas em `logger` e tratadas como ausência no cache.
+ */
+function createResponseCache({ maxEntries = 500, ttlMs = 24 * 60 * 60 * 1000, directory = null, diskTtlMs = 7 * 24 * 60 * 60 * 1000, logger = console } = {}) {
+    const enabled = ttlMs > 0 && maxEntries > 0;
+    // Map mantém a ordem de inserção: a primeira chave é a usada há mais tempo
+    const memory = new Map();
+    const stats = { hits: 0, memoryHits: 0, diskHits: 0, misses: 0, tokensSaved: 0 };
+
+    function remember(key, entry) {
+        memory.delete(key);
+        memory.set(key, entry);
+        while (memory.size > maxEntries) {
+            memory.delete(memory.keys().next().value);
+        }
+    }
+
+    function fileFor(key) {
+        return path.join(directory, `${key}.json`);
+    }
+
+    async function readDisk(key) {
+        try {
+            const entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+            if (entry.expiresAt > Date.now()) return entry;
+            await fs.rm(fileFor(key), { force: true });
+        } catch (error) {
+            if (error.code !== "ENOENT") logger.warn("Cache em disco ilegível", { key, error: error.message });
+        }
+        return null;
+    }
+
+    async function writeDisk(key, entry) {
+        try {
+            await fs.mkdir(directory, { recursive: true });
+            const tempFile = `${fileFor(key)}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(entry));
+            await fs.rename(tempFile, fileFor(key));
+        } catch (error) {
+            logger.warn("Falha ao gravar o cache em disco", { key, error: error.message });
+        }
+    }
+
+    function hit(entry, tier) {
+        stats.hits++;
+        stats[`${tier}Hits`]++;
+        stats.tokensSaved += entry.tokens;
+        return entry.value;
+    }
+
+    return {
+        enabled,
+
+        // Valor guardado para `key`, ou null (contabilizado como falta)
+        async get(key) {
+            if (!enabled || !KEY_PATTERN.test(key)) return null;
+
+            const cached = memory.get(key);
+            if (cached && cached.expiresAt > Date.now()) {
+                remember(key, cached);
+                return hit(cached, "memory");
+            }
+            memory.delete(key);
+
+            if (directory) {
+                const stored = await readDisk(key);
+                if (stored) {
+                    remember(key, { ...stored, expiresAt: Math.min(stored.expiresAt, Date.now() + ttlMs) });
+                    return hit(stored, "disk");
+                }
+            }
+
+            stats.misses++;
+            return null;
+        },
+
+        // `tokens` é o custo da resposta, somado em tokensSaved a cada acerto
+        async set(key, value, { tokens = 0 } = {}) {
+            if (!enabled || !KEY_PATTERN.test(key)) return;
+
+            const now = Date.now();
+            remember(key, { value, tokens, expiresAt: now + ttlMs });
+            if (directory) {
+                await writeDisk(key, { value, tokens, expiresAt: now + diskTtlMs });
+            }
+        },
+
+        stats() {
+            const lookups = stats.hits + stats.misses;
+            return {
+                enabled,
+                ...stats,
+                hitRate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+                entries: memory.size,
+                maxEntries,
+                ttlSeconds: Math.round(ttlMs / 1000),
+                disk: directory ? { enabled: true, ttlSeconds: Math.round(diskTtlMs / 1000) } : { enabled: false }
+            };
+        }
+    };
+}
+
+module.exports = { analysisCacheKey, createResponseCache };
@@ -0,0 +1,245 @@
+// Motor de compatibilidade baseado em regras: compara o perfil de hardware
+// com o catálogo local de requisitos mínimos e recomendados (data/requirements.json)
+
+const catalog = require("./data/requirements.json");
+const { normalizeText } = require("./text");
+const { bucketTier, findById, matchHardware, summarize } = require("./hardware");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+
+const COMPONENTS = ["os", "cpu", "gpu", "ram", "storage"];
+
+// Nome do componente no idioma (ex.: "Placa de Vídeo (GPU)")
+function componentName(component, locale = DEFAULT_LOCALE) {
+    return t(locale, `components.${component}`);
+}
+
+const OS_NAMES = {
+    windows10: "Windows 10/11",
+    windows7: "Windows 7",
+    macos: "macOS",
+    linux: "Linux"
+};
+
+// Quantidades em GB de cada opção; "min"/"max" delimitam opções que são faixas
+const BUCKET_AMOUNTS = {
+    ram: { "4gb": { min: 4, max: 4 }, "8gb": { min: 8, max: 8 }, "16gb": { min: 16, max: 16 }, "32gb": { min: 32, max: 32 } },
+    storage: { less_50gb: { min: 0, max: 49 }, "50gb": { min: 50, max: 50 }, "100gb": { min: 100, max: 100 }, "250gb": { min: 250, max: 250 } }
+};
+
+function findSoftware(name) {
+    const wanted = normalizeText(name);
+    if (!wanted) return null;
+
+    return catalog.software.find(entry =>
+        normalizeText(entry.name) === wanted ||
+        normalizeText(entry.id) === wanted ||
+        entry.aliases.some(alias => normalizeText(alias) === wanted)
+    ) || null;
+}
+
+// Interpreta quantidades digitadas livremente, como "12 GB" ou "1 TB"
+function parseAmountGb(text) {
+    const match = normalizeText(text).match(/(\d+(?:\s\d+)?)\s*(tb|gb|g|t)?\b/);
+    if (!match) return null;
+
+    const value = parseFloat(match[1].replace(" ", "."));
+    const isTerabyte = match[2] === "tb" || match[2] === "t";
+    return isTerabyte ? value * 1024 : value;
+}
+
+// Identifica a família do sistema operacional digitado em "Outro"
+function parseOsText(text) {
+    const normalized = normalizeText(text);
+    if (/windows\s*(10|11)|win\s*(10|11)/.test(normalized)) return "windows10";
+    if (/windows\s*(7|8)|win\s*(7|8)/.test(normalized)) return "windows7";
+    if (/mac|os x|osx/.test(normalized)) return "macos";
+    if (/linux|ubuntu|debian|fedora|mint|arch|manjaro|pop os|steamos/.test(normalized)) return "linux";
+    return null;
+}
+
+function resolveOs(answer) {
+    return answer.value === "other" ? parseOsText(answer.label) : answer.value;
+}
+
+// Nível de desempenho da CPU/GPU: opção do questionário, modelo confirmado
+// pelo usuário ou, para texto livre, a correspondência no catálogo de hardware
+function resolveHardware(component, answer) {
+    if (answer.catalogId) {
+        const entry = findById(component, answer.catalogId);
+        if (entry) return { tier: entry.tier, matched: summarize(entry, component, 1) };
+    }
+    if (answer.value === "other") {
+        const { match, ambiguous } = matchHardware(component, answer.label);
+        return ambiguous ? { tier: null, matched: null } : { tier: match.tier, matched: match };
+    }
+    return { tier: bucketTier(component, answer.value), matched: null };
+}
+
+function resolveAmount(component, answer) {
+    if (answer.value === "other") {
+        const amount = parseAmountGb(answer.label);
+        return amount === null ? null : { min: amount, max: amount };
+    }
+    return BUCKET_AMOUNTS[component][answer.value] ?? null;
+}
+
+function checkOs(answer, minimum, recommended, locale) {
+    const os = resolveOs(answer);
+    const required = minimum.os.map(value => OS_NAMES[value]).join(", ");
+
+    if (!os) {
+        return { status: "unknown", meetsRecommended: false, required, reason: t(locale, "compatibility.osUnknown") };
+    }
+    if (!minimum.os.includes(os)) {
+        return { status: "fail", meetsRecommended: false, required, reason: t(locale, "compatibility.osUnsupported", { os: OS_NAMES[os], required }) };
+    }
+    return {
+        status: "pass",
+        meetsRecommended: recommended.os.includes(os),
+        required,
+        reason: t(locale, "compatibility.osSupported", { os: OS_NAMES[os] })
+    };
+}
+
+function checkTier(component, answer, minimum, recommended, locale) {
+    const { tier, matched } = resolveHardware(component, answer);
+    const required = minimum[component].label;
+
+    if (tier === null) {
+        return { status: "unknown", meetsRecommended: false, required, reason: t(locale, "compatibility.modelUnknown") };
+    }
+    if (tier < minimum[component].tier) {
+        return { status: "fail", meetsRecommended: false, required, matched, reason: t(locale, "compatibility.belowMinimum", { required }) };
+    }
+
+    const meetsRecommended = tier >= recommended[component].tier;
+    return {
+        status: "pass",
+        meetsRecommended,
+        required,
+        matched,
+        reason: meetsRecommended
+            ? t(locale, "compatibility.meetsRecommended")
+            : t(locale, "compatibility.belowRecommended", { recommended: recommended[component].label })
+    };
+}
+
+function checkAmount(component, answer, minimumGb, recommendedGb, locale) {
+    const amount = resolveAmount(component, answer);
+    const required = `${minimumGb} GB`;
+
+    if (!amount) {
+        return { status: "unknown", meetsRecommended: false, required, reason: t(locale, "compatibility.amountUnknown") };
+    }
+    if (amount.max < minimumGb) {
+        return { status: "fail", meetsRecommended: false, required, reason: t(locale, "compatibility.amountBelow", { gb: minimumGb }) };
+    }
+    if (amount.min < minimumGb) {
+        return { status: "unknown", meetsRecommended: false, required, reason: t(locale, "compatibility.amountRange", { gb: minimumGb }) };
+    }
+
+    const meetsRecommended = amount.min >= recommendedGb;
+    return {
+        status: "pass",
+        meetsRecommended,
+        required,
+        reason: meetsRecommended
+            ? t(locale, "compatibility.meetsRecommended")
+            : t(locale, "compatibility.amountBelowRecommended", { gb: recommendedGb })
+    };
+}
+
+function combineVerdict(components) {
+    if (components.some(item => item.status === "fail")) return "incompatible";
+    if (components.some(item => item.status === "unknown")) return "unknown";
+    return "compatible";
+}
+
+/**
+ * Avalia um perfil (ver profile.parseProfile) contra o catálogo de requisitos.
+ * O veredito é "compatible", "incompatible" ou "unknown" (software fora do catálogo
+ * ou componente que não pôde ser avaliado). Nomes e motivos vêm no idioma `locale`.
+ */
+function evaluateCompatibility(profile, locale = DEFAULT_LOCALE) {
+    const software = findSoftware(profile.software);
+    const base = {
+        catalogVersion: catalog.version,
+        software: software ? { id: software.id, name: software.name } : { id: null, name: profile.software }
+    };
+
+    if (!software) {
+        return { ...base, found: false, verdict: "unknown", meetsRecommended: false, components: [] };
+    }
+
+    const { minimum, recommended } = software;
+    const checks = {
+        os: checkOs(profile.os, minimum, recommended, locale),
+        cpu: checkTier("cpu", profile.cpu, minimum, recommended, locale),
+        gpu: checkTier("gpu", profile.gpu, minimum, recommended, locale),
+        ram: checkAmount("ram", profile.ram, minimum.ramGb, recommended.ramGb, locale),
+        storage: checkAmount("storage", profile.storage, minimum.storageGb, recommended.storageGb, locale)
+    };
+
+    const components = Object.entries(checks).map(([component, check]) => ({
+        component,
+        name: componentName(component, locale),
+        value: profile[component].value,
+        yours: profile[component].label,
+        ...check
+    }));
+
+    const verdict = combineVerdict(components);
+    return {
+        ...base,
+        found: true,
+        verdict,
+        meetsRecommended: verdict === "compatible" && components.every(item => item.meetsRecommended),
+        components
+    };
+}
+
+function verdictLabel(verdict, locale = DEFAULT_LOCALE) {
+    return t(locale, `verdicts.${verdict}`);
+}
+
+const STATUS_LABELS = { pass: "✅", fail: "❌", unknown: "⚠️" };
+
+// Hardware do usuário, acrescido do modelo identificado quando foi digitado em "Outro"
+function describeYours(item) {
+    return item.matched && item.value === "other" ? `${item.yours} (${item.matched.name})` : item.yours;
+}
+
+// Cabeçalho das tabelas Markdown de componentes
+function tableHeader(locale = DEFAULT_LOCALE) {
+    return `| ${["component", "required", "yours", "result"].map(column => t(locale, `table.${column}`)).join(" | ")} |`;
+}
+
+// Tabela Markdown com o resultado de cada componente
+function formatCompatibilityTable(result, locale = DEFAULT_LOCALE) {
+    const rows = result.components.map(item =>
+        `| ${item.name} | ${item.required} | ${describeYours(item)} | ${STATUS_LABELS[item.status]} ${item.reason} |`
+    );
+    return [
+        tableHeader(locale),
+        "|---|---|---|---|",
+        ...rows
+    ].join("\n");
+}
+
+module.exports = {
+    catalog,
+    COMPONENTS,
+    componentName,
+    verdictLabel,
+    tableHeader,
+    normalizeText,
+    findSoftware,
+    parseAmountGb,
+    parseOsText,
+    resolveOs,
+    resolveHardware,
+    resolveAmount,
+    evaluateCompatibility,
+    describeYours,
+    formatCompatibilityTable
+};
@@ -0,0 +1,60 @@
+// Salvaguardas da entrada do usuário antes de chegar ao modelo: tentativas de injeção de instruções
+// ("ignore as instruções acima...") e pedidos fora do assunto (poemas, receitas, tradução...).
+// São heurísticas em português, inglês e espanhol, aplicadas ao texto normalizado (sem acentos e pontuação)
+
+const { normalizeText } = require("./text");
+const { HARDWARE_FIELDS } = require("./profile");
+
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\b.{0,40}\b(instructions?|rules?|above|previous|prompt)\b/,
+    /\b(ignore|ignora|esqueca|esquece|desconsidere|desconsidera)\b.{0,40}\b(instrucoes|regras|acima|anteriores|prompt)\b/,
+    /\b(ignora|olvida|olvidate)\b.{0,40}\b(instrucciones|reglas|anteriores|prompt)\b/,
+    /\b(system|sistema) (prompt|message|mensagem|mensaje)\b/,
+    /\b(you are now|from now on you|voce agora e|a partir de agora voce|ahora eres|a partir de ahora eres)\b/,
+    /\b(jailbreak|dan mode|developer mode|modo desenvolvedor|modo desarrollador)\b/,
+    /\b(reveal|show|print|repeat|revele|mostre|repita|revela|muestra|repite)\b.{0,30}\b(instructions?|instrucoes|instrucciones|prompt|regras|reglas|rules)\b/
+];
+
+// Delimitadores e marcas de papel usados pelos templates e pelos provedores, verificados no texto original
+const MARKUP_PATTERN = /<\s*\/?\s*(dados|system|instructions?)\s*>|\[\s*\/?\s*(inst|system)\s*\]|<\|[a-z_]+\|>/i;
+
+const OFF_TOPIC_PATTERNS = [
+    /\b(poema|poem|poesia|poetry|cancao|song about|cancion|piada|joke|chiste|receita|recipe|receta)\b/,
+    /\b(redacao|essay|ensayo|horoscopo|horoscope|licao de casa|homework|tarea)\b/,
+    /\b(translate|traduza|traduzir|traduce|traducir)\b/,
+    /\b(write|escreva|escribe)\b.{0,30}\b(story|historia|carta|letter|email|artigo|article|articulo)\b/
+];
+
+/**
+ * Verifica um texto livre do usuário. Retorna null quando está liberado ou o motivo da recusa:
+ * "injection" ou, com `topic: true` (perguntas livres), "off_topic".
+ */
+function screenText(text, { topic = false } = {}) {
+    if (typeof text !== "string" || !text.trim()) return null;
+    if (MARKUP_PATTERN.test(text)) return "injection";
+
+    const normalized = normalizeText(text);
+    if (INJECTION_PATTERNS.some(pattern => pattern.test(normalized))) return "injection";
+    if (topic && OFF_TOPIC_PATTERNS.some(pattern => pattern.test(normalized))) return "off_topic";
+    return null;
+}
+
+// Textos digitados livremente no perfil: opções "Outro", respostas de texto e o software
+function profileUserText(profile) {
+    return [
+        ...HARDWARE_FIELDS.filter(field => profile[field].value === "other").map(field => profile[field].label),
+        ...Object.values(profile.details || {}).map(detail => detail.value).filter(value => typeof value === "string"),
+        profile.software
+    ];
+}
+
+// Motivo de recusa do primeiro campo livre do perfil que não passa pela verificação, ou null
+function screenProfile(profile) {
+    for (const text of profileUserText(profile)) {
+        const reason = screenText(text);
+        if (reason) return reason;
+    }
+    return null;
+}
+
+module.exports = { screenText, screenProfile };
@@ -0,0 +1,153 @@
+// Catálogo local de CPUs/GPUs (data/hardware.json) e correspondência aproximada
+// das especificações digitadas livremente na opção "Outro (Especificar)"
+
+const catalog = require("./data/hardware.json");
+const { normalizeText } = require("./text");
+
+const ENTRIES = { cpu: catalog.cpus, gpu: catalog.gpus };
+
+// Palavras de marca que não ajudam a distinguir modelos
+const NOISE_TOKENS = new Set(["nvidia", "geforce", "amd", "radeon", "intel", "core", "graphics", "gpu", "cpu", "processor", "processador", "placa", "de", "video", "com"]);
+
+// Acima deste valor a correspondência é aceita sem confirmação
+const CONFIDENT_SCORE = 0.8;
+// Diferença mínima para o segundo colocado não tornar a escolha ambígua
+const AMBIGUITY_MARGIN = 0.1;
+const MAX_CANDIDATES = 3;
+
+/**
+ * Quebra o texto em tokens comparáveis: "RTX3060 Ti" -> ["rtx", "3060", "ti"].
+ * Prefixos de série com 2+ letras são separados do número ("rx580" -> "rx", "580"),
+ * mas "i5" e "5800x3d" são mantidos inteiros.
+ */
+function tokenize(text) {
+    return normalizeText(text)
+        .replace(/\b([a-z]{2,})(\d)/g, "$1 $2")
+        .split(" ")
+        .filter(token => token && !NOISE_TOKENS.has(token));
+}
+
+function isNumeric(token) {
+    return /\d/.test(token);
+}
+
+// Tamanhos de memória ("6gb") descrevem variantes, não o número do modelo
+function isModelNumber(token) {
+    return isNumeric(token) && !/^\d+gb$/.test(token);
+}
+
+// Sufixo "F" da Intel indica apenas ausência de vídeo integrado ("12400f" ~ "12400")
+function stripIntelSuffix(token) {
+    return token.replace(/(\d)(k?)f$/, "$1$2");
+}
+
+// Distância de edição limitada a 1, para tolerar erros de digitação em palavras
+function withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function tokensMatch(a, b) {
+    if (a === b) return true;
+    // Números de modelo precisam ser exatos ("3060" != "3070")
+    if (isNumeric(a) || isNumeric(b)) return stripIntelSuffix(a) === stripIntelSuffix(b);
+    return a.length >= 4 && b.length >= 4 && withinOneEdit(a, b);
+}
+
+// Coeficiente de Dice entre os tokens, penalizando números de modelo ausentes na busca
+function scoreTokens(queryTokens, entryTokens) {
+    if (!queryTokens.length || !entryTokens.length) return 0;
+
+    const matched = entryTokens.filter(token => queryTokens.some(query => tokensMatch(query, token)));
+    let score = (2 * matched.length) / (queryTokens.length + entryTokens.length);
+
+    const missingNumbers = entryTokens.filter(token =>
+        isModelNumber(token) && !queryTokens.some(query => tokensMatch(query, token))
+    );
+    if (missingNumbers.length) score *= 0.5;
+
+    return score;
+}
+
+function scoreEntry(queryTokens, entry) {
+    const names = [entry.name, ...(entry.aliases || [])];
+    return Math.max(...names.map(name => scoreTokens(queryTokens, tokenize(name))));
+}
+
+function summarize(entry, kind, confidence) {
+    return {
+        id: entry.id,
+        kind,
+        name: entry.name,
+        tier: entry.tier,
+        generation: entry.generation,
+        ...(kind === "gpu" && { vramGb: entry.vramGb, integrated: entry.integrated }),
+        ...(confidence !== undefined && { confidence: Math.round(confidence * 100) / 100 })
+    };
+}
+
+function findById(kind, id) {
+    return (ENTRIES[kind] || []).find(entry => entry.id === id) || null;
+}
+
+/**
+ * Procura a especificação digitada no catálogo.
+ * Retorna { match, candidates, ambiguous }: `match` é o melhor resultado (ou null),
+ * `candidates` os mais próximos e `ambiguous` indica que o usuário deve confirmar.
+ */
+function matchHardware(kind, text) {
+    const entries = ENTRIES[kind];
+    if (!entries) {
+        throw new Error(`Tipo de componente desconhecido: "${kind}"`);
+    }
+
+    const queryTokens = tokenize(text);
+    const ranked = entries
+        .map(entry => ({ entry, score: scoreEntry(queryTokens, entry) }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+    if (!ranked.length) {
+        return { match: null, candidates: [], ambiguous: true };
+    }
+
+    const [best, second] = ranked;
+    const ambiguous = best.score < CONFIDENT_SCORE ||
+        (second !== undefined && best.score - second.score < AMBIGUITY_MARGIN);
+
+    return {
+        match: summarize(best.entry, kind, best.score),
+        candidates: ranked.map(item => summarize(item.entry, kind, item.score)),
+        ambiguous
+    };
+}
+
+// Nível de desempenho de uma opção do questionário (ex.: "gtx1060_up")
+function bucketTier(kind, value) {
+    return catalog.buckets[kind]?.[value]?.tier ?? null;
+}
+
+module.exports = {
+    catalog,
+    tokenize,
+    findById,
+    matchHardware,
+    bucketTier,
+    summarize
+};
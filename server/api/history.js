@@ -0,0 +1,62 @@
+// Validação e truncamento do histórico de conversa enviado pelo frontend
+
+const { estimateTokens } = require("./text");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+
+const ROLES = ["user", "model", "assistant"];
+const MAX_MESSAGES = 50;
+const MAX_MESSAGE_LENGTH = 8000;
+
+/**
+ * Valida o histórico ({ role, content }[]).
+ * Retorna { history } normalizado ou { error } com a mensagem para o usuário.
+ */
+function parseHistory(chatHistory, locale = DEFAULT_LOCALE) {
+    if (chatHistory === undefined || chatHistory === null) {
+        return { history: [] };
+    }
+    if (!Array.isArray(chatHistory) || chatHistory.length > MAX_MESSAGES) {
+        return { error: t(locale, "history.tooLong", { max: MAX_MESSAGES }) };
+    }
+
+    const history = [];
+    for (const msg of chatHistory) {
+        if (!msg || !ROLES.includes(msg.role) || typeof msg.content !== "string" ||
+            !msg.content.trim() || msg.content.length > MAX_MESSAGE_LENGTH) {
+            return { error: t(locale, "history.invalid") };
+        }
+        history.push({ role: msg.role === "assistant" ? "model" : msg.role, content: msg.content });
+    }
+    return { history };
+}
+
+/**
+ * Mantém as mensagens mais recentes que cabem em `maxTokens`, preservando as
+ * `pinned` primeiras (a análise original). O histórico resultante sempre começa
+ * com uma mensagem do usuário, como exigem os provedores.
+ */
+function truncateHistory(history, maxTokens, pinned = 0) {
+    const head = history.slice(0, pinned);
+    let budget = maxTokens - head.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+
+    const tail = [];
+    for (let i = history.length - 1; i >= pinned; i--) {
+        const cost = estimateTokens(history[i].content);
+        if (cost > budget) break;
+        budget -= cost;
+        tail.unshift(history[i]);
+    }
+
+    // Um corte no meio de um par pergunta/resposta deixaria uma resposta órfã
+    while (tail.length && tail[0].role !== "user") {
+        tail.shift();
+    }
+
+    const result = budget >= 0 ? [...head, ...tail] : tail;
+    while (result.length && result[0].role !== "user") {
+        result.shift();
+    }
+    return { history: result, truncated: result.length < history.length };
+}
+
+module.exports = { parseHistory, truncateHistory };
@@ -0,0 +1,80 @@
+// Idiomas suportados e catálogos de mensagens do servidor (locales/<idioma>.json).
+// O idioma vem de ?lang= ou do cabeçalho Accept-Language; pt-BR é o padrão e a
+// referência para chaves ausentes nos outros catálogos
+
+const CATALOGS = {
+    "pt-BR": require("./locales/pt-BR.json"),
+    en: require("./locales/en.json"),
+    es: require("./locales/es.json")
+};
+
+const LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = "pt-BR";
+
+// "en-US" -> "en", "pt" -> "pt-BR", "es-419" -> "es"
+function matchLocale(tag) {
+    if (typeof tag !== "string" || !tag.trim()) return null;
+    const wanted = tag.trim().toLowerCase();
+    const language = wanted.split("-")[0];
+
+    return LOCALES.find(locale => locale.toLowerCase() === wanted) ||
+        LOCALES.find(locale => locale.split("-")[0].toLowerCase() === language) ||
+        null;
+}
+
+/**
+ * Escolhe o idioma da resposta. `requested` (ex.: ?lang=en) tem prioridade;
+ * depois valem os idiomas do Accept-Language, na ordem do peso "q".
+ */
+function negotiateLocale(requested, acceptLanguage) {
+    const direct = matchLocale(requested);
+    if (direct) return direct;
+
+    const ranges = String(acceptLanguage || "")
+        .split(",")
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(";");
+            const weight = params.map(param => param.trim()).find(param => param.startsWith("q="));
+            return { tag, q: weight ? parseFloat(weight.slice(2)) : 1, index };
+        })
+        .filter(range => range.tag && range.tag !== "*" && range.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const range of ranges) {
+        const locale = matchLocale(range.tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+// Mensagem traduzida, com {parâmetros} substituídos
+function t(locale, key, params = {}) {
+    const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+    const template = catalog.messages[key] ?? CATALOGS[DEFAULT_LOCALE].messages[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Nome do idioma usado nas instruções do modelo
+function languageName(locale) {
+    return (CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE]).language;
+}
+
+// Textos das perguntas no idioma ({ id: { label, question, hint, options } }); vazio para pt-BR
+function questionTranslations(locale) {
+    return CATALOGS[locale]?.questions || {};
+}
+
+// Textos das dicas da roleta no idioma ({ id: texto }); vazio para pt-BR
+function tipTranslations(locale) {
+    return CATALOGS[locale]?.tips || {};
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    negotiateLocale,
+    t,
+    languageName,
+    questionTranslations,
+    tipTranslations
+};
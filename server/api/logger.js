@@ -0,0 +1,41 @@
+// Logs estruturados: uma linha JSON por evento, com os campos de contexto (ex.: requestId)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Erros viram objetos serializáveis; o stack só acompanha os níveis de erro
+function serialize(value, withStack) {
+    if (!(value instanceof Error)) return value;
+    return { name: value.name, message: value.message, ...(withStack && { stack: value.stack }) };
+}
+
+/**
+ * Cria um logger que escreve em `stream` (stdout por padrão) os eventos a partir de `level`.
+ * `fields` acompanham todas as linhas; child() acrescenta campos, como o ID da requisição.
+ */
+function createLogger({ level = "info", stream = process.stdout, fields = {} } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function format(eventLevel, message, extra = {}) {
+        const entry = { time: new Date().toISOString(), level: eventLevel, msg: message, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = serialize(value, LEVELS[eventLevel] >= LEVELS.error);
+        }
+        return JSON.stringify(entry);
+    }
+
+    function log(eventLevel, message, extra) {
+        if (LEVELS[eventLevel] < threshold) return;
+        stream.write(`${format(eventLevel, message, extra)}\n`);
+    }
+
+    return {
+        format,
+        debug: (message, extra) => log("debug", message, extra),
+        info: (message, extra) => log("info", message, extra),
+        warn: (message, extra) => log("warn", message, extra),
+        error: (message, extra) => log("error", message, extra),
+        child: extra => createLogger({ level, stream, fields: { ...fields, ...extra } })
+    };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,80 @@
+// Métricas no formato de texto do Prometheus (contadores e histogramas com rótulos), servidas em /metrics
+
+// Limites em segundos: cobrem desde rotas sem IA até o timeout de 15s das análises
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 7.5, 10, 12.5, 15, 20];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(pairs) {
+    return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}` : "";
+}
+
+// Série identificada pelos valores dos rótulos, na ordem declarada; rótulos ausentes ficam vazios
+function seriesFor(store, labelNames, labels, create) {
+    const values = labelNames.map(name => labels[name] ?? "");
+    const key = JSON.stringify(values);
+    if (!store.has(key)) {
+        store.set(key, { pairs: labelNames.map((name, i) => [name, values[i]]), ...create() });
+    }
+    return store.get(key);
+}
+
+/**
+ * Cria um registro de métricas. counter() e histogram() declaram as métricas;
+ * render() gera o texto exposto em /metrics.
+ */
+function createMetrics() {
+    const metrics = [];
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        metrics.push({
+            name, help, type: "counter",
+            lines: () => [...series.values()].map(item => `${name}${formatLabels(item.pairs)} ${item.value}`)
+        });
+        return {
+            inc(labels = {}, value = 1) {
+                seriesFor(series, labelNames, labels, () => ({ value: 0 })).value += value;
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        metrics.push({
+            name, help, type: "histogram",
+            lines: () => [...series.values()].flatMap(item => [
+                ...buckets.map((bound, i) =>
+                    `${name}_bucket${formatLabels([...item.pairs, ["le", bound]])} ${item.counts[i]}`),
+                `${name}_bucket${formatLabels([...item.pairs, ["le", "+Inf"]])} ${item.count}`,
+                `${name}_sum${formatLabels(item.pairs)} ${item.sum}`,
+                `${name}_count${formatLabels(item.pairs)} ${item.count}`
+            ])
+        });
+        return {
+            // `value` em segundos
+            observe(labels, value) {
+                const item = seriesFor(series, labelNames, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) item.counts[i]++;
+                });
+                item.sum += value;
+                item.count++;
+            }
+        };
+    }
+
+    function render() {
+        return metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines()
+        ].join("\n")).join("\n") + "\n";
+    }
+
+    return { counter, histogram, render };
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetrics };
@@ -0,0 +1,410 @@
+// Contrato da API pública versionada (/api/v1): documento OpenAPI servido em /api/v1/openapi.json,
+// validação das requisições contra esse documento e conversão entre o perfil tipado da API
+// e as respostas do questionário usadas pelo restante do servidor
+
+const { QUESTIONNAIRE } = require("./questions");
+const { HARDWARE_FIELDS } = require("./profile");
+const { COMPONENTS } = require("./compatibility");
+const { ANALYSIS_SCHEMA } = require("./analysis");
+const { ID_PATTERN } = require("./analyses");
+const { findById } = require("./hardware");
+const { specsToAnswers } = require("./specs");
+const { SCHEMA_ERROR_CODES, validateSchema } = require("./schema");
+
+const API_VERSION = "1.0.0";
+const MAX_TEXT_LENGTH = 200;
+
+// Código de erro padrão de cada status; as rotas podem enviar um código mais específico
+const ERROR_CODES = {
+    400: "invalid_request",
+    401: "unauthorized",
+    404: "not_found",
+    413: "payload_too_large",
+    415: "unsupported_media_type",
+    422: "invalid_profile",
+    429: "rate_limited",
+    500: "internal_error",
+    502: "invalid_response",
+    504: "timeout"
+};
+
+// A VRAM faz parte do hardware (`vramGb`); as demais perguntas complementares do questionário viram `details`
+const DETAIL_QUESTIONS = QUESTIONNAIRE.questions
+    .filter(question => !HARDWARE_FIELDS.includes(question.id) && !["software", "vram"].includes(question.id));
+
+function questionSchema(question) {
+    const values = (question.options || []).map(option => option.value);
+    switch (question.type) {
+        case "number":
+            return { type: "number", minimum: question.min, maximum: question.max, description: `${question.label} (${question.unit})` };
+        case "multiselect":
+            return {
+                type: "array",
+                items: { type: "string", enum: values },
+                ...(question.minSelected && { minItems: question.minSelected }),
+                uniqueItems: true,
+                description: question.label
+            };
+        case "text":
+            return { type: "string", minLength: 1, maxLength: MAX_TEXT_LENGTH, description: question.label };
+        default:
+            return { type: "string", enum: values, description: question.label };
+    }
+}
+
+const text = description => ({ type: "string", minLength: 1, maxLength: MAX_TEXT_LENGTH, description });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Resposta de sucesso no envelope { success: true, data }
+function success(description, schema) {
+    return {
+        description,
+        content: {
+            "application/json": {
+                schema: {
+                    type: "object",
+                    required: ["success", "data"],
+                    properties: { success: { type: "boolean", enum: [true] }, data: schema }
+                }
+            }
+        }
+    };
+}
+
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+const profileBody = {
+    required: true,
+    content: { "application/json": { schema: ref("Profile") } }
+};
+
+const SAVED_ANALYSIS_PROPERTIES = {
+    id: { type: "string", pattern: ID_PATTERN.source },
+    permalink: { type: "string", description: "Página somente leitura da análise, relativa à origem da API", example: "/analise/3q2-7wEAAAAXNiW8bXoJZg" },
+    createdAt: { type: "string", format: "date-time" },
+    software: { type: "string", description: "Nome do título no catálogo, ou o nome enviado quando não está no catálogo" },
+    profile: ref("NormalizedProfile"),
+    compatibility: ref("Compatibility"),
+    analysis: ref("Analysis"),
+    model: { type: "string", nullable: true },
+    prompt: { type: "string", nullable: true, description: "Template de prompt usado, ex.: analysis@1" }
+};
+
+const DOCUMENT = {
+    openapi: "3.0.3",
+    info: {
+        title: "HardIA API",
+        version: API_VERSION,
+        description: "API pública do HardIA: verifica se um hardware roda um jogo ou programa. " +
+            "O veredito vem do catálogo de requisitos (motor de regras); a análise com IA o explica. " +
+            "Todas as respostas seguem o envelope { success, data } ou { success: false, error, code }. " +
+            "O idioma das mensagens vem de ?lang= ou do Accept-Language (pt-BR, en, es)."
+    },
+    servers: [{ url: "/api/v1" }],
+    tags: [
+        { name: "profiles", description: "Perfis de hardware e verificação por regras, sem IA" },
+        { name: "analyses", description: "Análises com IA, salvas com um permalink" }
+    ],
+    paths: {
+        "/openapi.json": {
+            get: {
+                operationId: "getOpenApi",
+                summary: "Este documento",
+                responses: { 200: { description: "Documento OpenAPI 3.0", content: { "application/json": {} } } }
+            }
+        },
+        "/profiles": {
+            post: {
+                operationId: "normalizeProfile",
+                tags: ["profiles"],
+                summary: "Valida um perfil e mostra como o hardware foi interpretado",
+                description: "Sistema, RAM e disco são enquadrados nas opções do questionário; CPU e GPU são identificadas no catálogo de hardware.",
+                requestBody: profileBody,
+                responses: {
+                    200: success("Perfil normalizado", ref("NormalizedProfile")),
+                    400: errorResponse("BadRequest"),
+                    422: errorResponse("InvalidProfile")
+                }
+            }
+        },
+        "/compatibility": {
+            post: {
+                operationId: "checkCompatibility",
+                tags: ["profiles"],
+                summary: "Veredito do motor de regras para o perfil, sem IA",
+                requestBody: profileBody,
+                responses: {
+                    200: success("Perfil normalizado e veredito", {
+                        type: "object",
+                        required: ["profile", "compatibility"],
+                        properties: { profile: ref("NormalizedProfile"), compatibility: ref("Compatibility") }
+                    }),
+                    400: errorResponse("BadRequest"),
+                    422: errorResponse("InvalidProfile")
+                }
+            }
+        },
+        "/analyses": {
+            post: {
+                operationId: "createAnalysis",
+                tags: ["analyses"],
+                summary: "Gera e salva a análise com IA do perfil",
+                description: "Perfis equivalentes reaproveitam a análise em cache, sem custo de tokens e sem contar no limite de requisições. " +
+                    "Sem chave de API, a requisição segue no nível anônimo, limitado por IP.",
+                security: [{}, { bearerAuth: [] }, { apiKeyHeader: [] }],
+                requestBody: profileBody,
+                responses: {
+                    201: success("Análise salva", {
+                        type: "object",
+                        required: Object.keys(SAVED_ANALYSIS_PROPERTIES),
+                        properties: {
+                            ...SAVED_ANALYSIS_PROPERTIES,
+                            cached: { type: "boolean" },
+                            tokensUsed: { description: "Tokens gastos no provedor (0 no cache; \"N/A\" se o provedor não informar)" }
+                        }
+                    }),
+                    400: errorResponse("BadRequest"),
+                    401: errorResponse("Unauthorized"),
+                    422: errorResponse("InvalidProfile"),
+                    429: errorResponse("TooManyRequests"),
+                    502: errorResponse("ProviderError"),
+                    504: errorResponse("ProviderError")
+                }
+            }
+        },
+        "/analyses/{id}": {
+            get: {
+                operationId: "getAnalysis",
+                tags: ["analyses"],
+                summary: "Análise salva",
+                parameters: [{ name: "id", in: "path", required: true, schema: { type: "string", pattern: ID_PATTERN.source } }],
+                responses: {
+                    200: success("Análise salva", ref("SavedAnalysis")),
+                    400: errorResponse("BadRequest"),
+                    404: errorResponse("NotFound")
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: "http", scheme: "bearer", description: "Chave de API (hk_...)" },
+            apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" }
+        },
+        schemas: {
+            Hardware: {
+                type: "object",
+                required: ["os", "cpu", "gpu", "ramGb", "storageGb"],
+                additionalProperties: false,
+                properties: {
+                    os: text("Sistema operacional, ex.: \"Windows 11\", \"macOS Sonoma\", \"Ubuntu 24.04\""),
+                    cpu: text("Modelo do processador, ex.: \"Ryzen 5 5600\""),
+                    gpu: text("Modelo da placa de vídeo, ex.: \"RTX 3060\""),
+                    ramGb: { type: "number", minimum: 1, maximum: 4096, description: "Memória RAM, em GB" },
+                    storageGb: { type: "number", minimum: 0, maximum: 1000000, description: "Espaço livre em disco, em GB" },
+                    vramGb: { type: "number", minimum: 0, maximum: 256, description: "Memória da placa de vídeo dedicada, em GB" }
+                }
+            },
+            ProfileDetails: {
+                type: "object",
+                additionalProperties: false,
+                description: `Perguntas complementares do questionário (versão ${QUESTIONNAIRE.version}). ` +
+                    "Respostas a perguntas que não se aplicam ao perfil (ex.: `power` em um desktop) são ignoradas.",
+                properties: Object.fromEntries(DETAIL_QUESTIONS.map(question => [question.id, questionSchema(question)]))
+            },
+            Profile: {
+                type: "object",
+                required: ["hardware", "software"],
+                additionalProperties: false,
+                properties: {
+                    hardware: ref("Hardware"),
+                    details: ref("ProfileDetails"),
+                    software: text("Jogo ou programa, ex.: \"Cyberpunk 2077\"")
+                }
+            },
+            HardwareAnswer: {
+                type: "object",
+                required: ["value", "label"],
+                properties: {
+                    value: { type: "string", description: "Opção do questionário, ou \"other\" para texto livre" },
+                    label: { type: "string" },
+                    catalogId: { type: "string", description: "Modelo identificado no catálogo de hardware (CPU e GPU)" },
+                    catalogName: { type: "string" }
+                }
+            },
+            NormalizedProfile: {
+                type: "object",
+                required: ["hardware", "details", "software"],
+                properties: {
+                    hardware: {
+                        type: "object",
+                        required: HARDWARE_FIELDS,
+                        properties: Object.fromEntries(HARDWARE_FIELDS.map(field => [field, ref("HardwareAnswer")]))
+                    },
+                    details: {
+                        type: "object",
+                        description: "Respostas complementares aceitas, com o rótulo da pergunta e o texto legível",
+                        additionalProperties: {
+                            type: "object",
+                            required: ["label", "value", "text"],
+                            properties: { label: { type: "string" }, value: {}, text: { type: "string" } }
+                        }
+                    },
+                    software: { type: "string" }
+                }
+            },
+            CompatibilityComponent: {
+                type: "object",
+                required: ["component", "name", "yours", "status", "meetsRecommended", "required", "reason"],
+                properties: {
+                    component: { type: "string", enum: COMPONENTS },
+                    name: { type: "string" },
+                    value: { type: "string" },
+                    yours: { type: "string" },
+                    status: { type: "string", enum: ["pass", "fail", "unknown"] },
+                    meetsRecommended: { type: "boolean" },
+                    required: { type: "string" },
+                    reason: { type: "string" },
+                    matched: { type: "object", nullable: true, description: "Modelo do catálogo usado na comparação (CPU e GPU)" }
+                }
+            },
+            Compatibility: {
+                type: "object",
+                required: ["catalogVersion", "software", "found", "verdict", "meetsRecommended", "components"],
+                properties: {
+                    catalogVersion: { type: "string" },
+                    software: {
+                        type: "object",
+                        required: ["id", "name"],
+                        properties: { id: { type: "string", nullable: true }, name: { type: "string" } }
+                    },
+                    found: { type: "boolean", description: "false quando o título não está no catálogo de requisitos (veredito \"unknown\")" },
+                    verdict: { type: "string", enum: ["compatible", "incompatible", "unknown"] },
+                    meetsRecommended: { type: "boolean" },
+                    components: { type: "array", items: ref("CompatibilityComponent") }
+                }
+            },
+            Analysis: ANALYSIS_SCHEMA,
+            SavedAnalysis: {
+                type: "object",
+                required: Object.keys(SAVED_ANALYSIS_PROPERTIES),
+                properties: SAVED_ANALYSIS_PROPERTIES
+            },
+            ValidationDetail: {
+                type: "object",
+                required: ["path", "code", "params", "message"],
+                properties: {
+                    path: { type: "string", description: "Campo com problema, ex.: \"$.hardware.ramGb\" ou \"query.limit\"" },
+                    code: { type: "string", enum: [...SCHEMA_ERROR_CODES, "contentType"] },
+                    params: { type: "object", description: "Parâmetros do problema, ex.: { \"limit\": 200 } para maxLength" },
+                    message: { type: "string", description: "Descrição do problema, no idioma negociado" }
+                }
+            },
+            Error: {
+                type: "object",
+                required: ["success", "error", "code", "requestId"],
+                properties: {
+                    success: { type: "boolean", enum: [false] },
+                    error: { type: "string", description: "Mensagem para o usuário, no idioma negociado" },
+                    code: { type: "string", enum: [...new Set([...Object.values(ERROR_CODES), "invalid_json", "refused", "provider_error"])] },
+                    details: { type: "array", items: ref("ValidationDetail"), description: "Campos que não seguem o esquema" },
+                    refusal: { type: "string", description: "Motivo da recusa pelas salvaguardas (code \"refused\")" },
+                    requestId: { type: "string", description: "ID da requisição, também no cabeçalho X-Request-Id" }
+                }
+            }
+        },
+        responses: Object.fromEntries([
+            ["BadRequest", "Corpo fora do esquema, JSON inválido ou entrada recusada pelas salvaguardas"],
+            ["InvalidProfile", "Perfil bem formado, mas com uma resposta que não se aplica (ex.: opção fora das permitidas)"],
+            ["Unauthorized", "Chave de API inválida ou revogada"],
+            ["NotFound", "Recurso não encontrado"],
+            ["TooManyRequests", "Cota de requisições ou orçamento de tokens da chave esgotado"],
+            ["ProviderError", "Falha ou timeout do provedor de IA"]
+        ].map(([name, description]) => [name, { description, content: { "application/json": { schema: ref("Error") } } }]))
+    }
+};
+
+// Operações por operationId, para validar cada rota contra a própria definição
+const OPERATIONS = Object.fromEntries(Object.values(DOCUMENT.paths)
+    .flatMap(item => Object.values(item))
+    .map(operation => [operation.operationId, operation]));
+
+/**
+ * Valida parâmetros e corpo da requisição contra a operação `operationId` do documento.
+ * Retorna null se válida, ou { status, code, details } com os problemas encontrados
+ * ({ path, code, params }, como em validateSchema; a mensagem fica para quem responde, no idioma da requisição).
+ */
+function validateRequest(operationId, req) {
+    const operation = OPERATIONS[operationId];
+    const details = [];
+
+    for (const parameter of operation.parameters || []) {
+        const value = { path: req.params, query: req.query }[parameter.in]?.[parameter.name];
+        if (value === undefined) {
+            if (parameter.required) details.push({ path: `${parameter.in}.${parameter.name}`, code: "required", params: {} });
+            continue;
+        }
+        details.push(...validateSchema(parameter.schema, value, { root: DOCUMENT, path: `${parameter.in}.${parameter.name}` }));
+    }
+
+    if (operation.requestBody) {
+        const types = Object.keys(operation.requestBody.content);
+        if (!req.is(types)) {
+            return { status: 415, code: ERROR_CODES[415], details: [{ path: "Content-Type", code: "contentType", params: { expected: types } }] };
+        }
+        details.push(...validateSchema(operation.requestBody.content[types[0]].schema, req.body, { root: DOCUMENT }));
+    }
+
+    return details.length ? { status: 400, code: ERROR_CODES[400], details } : null;
+}
+
+// Perfil da API -> corpo das rotas do questionário ({ answers, otherSpecifications, hardwareIds }),
+// com o mesmo mapeamento da importação de relatórios. Respostas explícitas em `details` prevalecem
+function profileToAnswers({ hardware, details = {}, software }) {
+    const { answers, otherSpecifications, hardwareIds } = specsToAnswers({
+        os: hardware.os,
+        cpu: hardware.cpu,
+        gpu: hardware.gpu,
+        ramGb: hardware.ramGb,
+        freeDiskGb: hardware.storageGb,
+        vramGb: hardware.vramGb
+    });
+    return { answers: { ...answers, ...details, software }, otherSpecifications, hardwareIds };
+}
+
+// Perfil normalizado (profile.js) no formato de resposta da API, com o nome do modelo do catálogo
+function publicProfile(profile) {
+    return {
+        hardware: Object.fromEntries(HARDWARE_FIELDS.map(field => {
+            const { value, label, catalogId } = profile[field];
+            const entry = catalogId && findById(field, catalogId);
+            return [field, { value, label, ...(entry && { catalogId, catalogName: entry.name }) }];
+        })),
+        details: profile.details || {},
+        software: profile.software
+    };
+}
+
+function publicAnalysis(record) {
+    return {
+        id: record.id,
+        permalink: `/analise/${record.id}`,
+        createdAt: record.createdAt,
+        software: record.software,
+        profile: publicProfile(record.profile),
+        compatibility: record.compatibility,
+        analysis: record.analysis,
+        model: record.model,
+        prompt: record.prompt
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    ERROR_CODES,
+    OPENAPI_DOCUMENT: DOCUMENT,
+    validateRequest,
+    profileToAnswers,
+    publicProfile,
+    publicAnalysis
+};
@@ -0,0 +1,110 @@
+// Montagem do perfil de hardware a partir das respostas do questionário
+
+const { findById } = require("./hardware");
+const { componentName } = require("./compatibility");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+const { QUESTIONNAIRE, findQuestion, isVisible, visibleOptions, parseAnswer } = require("./questions");
+
+const HARDWARE_FIELDS = ["os", "gpu", "ram", "cpu", "storage"];
+
+// Perguntas complementares (formato, resolução, FPS...): opcionais para clientes da API,
+// mas validadas pelo esquema quando enviadas
+const DETAIL_QUESTION_IDS = QUESTIONNAIRE.questions
+    .filter(question => !HARDWARE_FIELDS.includes(question.id) && question.id !== "software")
+    .map(question => question.id);
+
+// Campos cuja opção "Outro" pode ser confirmada como um modelo do catálogo de hardware
+const CATALOG_FIELDS = QUESTIONNAIRE.questions.filter(question => question.matchCatalog).map(question => question.id);
+const MAX_FIELD_LENGTH = 200;
+
+function isShortString(value) {
+    return typeof value === "string" && value.trim().length > 0 && value.length <= MAX_FIELD_LENGTH;
+}
+
+/**
+ * Valida e normaliza as respostas enviadas pelo frontend.
+ * `hardwareIds` traz os modelos do catálogo confirmados pelo usuário para CPU/GPU.
+ * Retorna { profile } em caso de sucesso ou { error } com a mensagem para o usuário;
+ * rótulos e mensagens vêm no idioma `locale`.
+ */
+function parseProfile(answers, otherSpecifications = {}, hardwareIds = {}, locale = DEFAULT_LOCALE) {
+    if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+        return { error: t(locale, "profile.missingAnswers") };
+    }
+    if (!otherSpecifications || typeof otherSpecifications !== "object") {
+        otherSpecifications = {};
+    }
+    if (!hardwareIds || typeof hardwareIds !== "object") {
+        hardwareIds = {};
+    }
+
+    const profile = {};
+
+    for (const field of HARDWARE_FIELDS) {
+        const value = answers[field];
+        if (!isShortString(value)) {
+            return { error: t(locale, "profile.invalidField", { field }) };
+        }
+
+        const option = visibleOptions(findQuestion(field, locale), answers).find(item => item.value === value);
+        if (value === "other") {
+            const spec = otherSpecifications[field];
+            if (!isShortString(spec)) {
+                return { error: t(locale, "profile.missingOther", { field }) };
+            }
+            profile[field] = { value, label: spec.trim() };
+
+            const catalogId = hardwareIds[field];
+            if (CATALOG_FIELDS.includes(field) && typeof catalogId === "string" && findById(field, catalogId)) {
+                profile[field].catalogId = catalogId;
+            }
+        } else if (option) {
+            profile[field] = { value, label: option.label };
+        } else {
+            return { error: t(locale, "profile.unknownOption", { field }) };
+        }
+    }
+
+    profile.details = {};
+    for (const id of DETAIL_QUESTION_IDS) {
+        const question = findQuestion(id, locale);
+        const value = answers[id];
+        if (value === undefined || value === null || value === "" || !isVisible(question, answers)) continue;
+
+        const detail = parseAnswer(question, value, answers, locale);
+        if (detail.error) {
+            return { error: detail.error };
+        }
+        profile.details[question.id] = { label: question.label, ...detail };
+    }
+
+    if (!isShortString(answers.software)) {
+        return { error: t(locale, "profile.missingSoftware") };
+    }
+    profile.software = answers.software.trim();
+
+    return { profile };
+}
+
+// Rótulo do componente, incluindo o modelo do catálogo quando confirmado
+function describe(field, answer, locale) {
+    const entry = answer.catalogId && findById(field, answer.catalogId);
+    return entry ? t(locale, "profile.identifiedAs", { label: answer.label, model: entry.name }) : answer.label;
+}
+
+// Formata o perfil no texto enviado ao modelo
+function formatProfileMessage(profile, locale = DEFAULT_LOCALE) {
+    return [
+        t(locale, "profile.header"),
+        ...["os", "gpu", "ram", "cpu", "storage"].map(field =>
+            `${componentName(field, locale)}: ${describe(field, profile[field], locale)}`),
+        ...Object.values(profile.details || {}).map(detail => `${detail.label}: ${detail.text}`),
+        `${t(locale, "profile.software")}: ${profile.software}`
+    ].join("\n");
+}
+
+module.exports = {
+    HARDWARE_FIELDS,
+    parseProfile,
+    formatProfileMessage
+};
@@ -0,0 +1,193 @@
+// Provedor local "fixture": respostas fixas e determinísticas, sem rede nem chave de API.
+// Útil para desenvolvimento offline e testes.
+
+const { estimateTokens } = require("../text");
+
+// Uma resposta por veredito em cada idioma suportado
+const FIXTURES = {
+    "pt-BR": [
+        {
+            verdict: "compatible",
+            summary: "Sua configuração atende aos requisitos mínimos com folga. 💪",
+            components: [
+                { component: "cpu", required: "Intel Core i5", yours: "Conforme informado", status: "pass" },
+                { component: "gpu", required: "NVIDIA GTX 1050", yours: "Conforme informado", status: "pass" },
+                { component: "ram", required: "8 GB", yours: "Conforme informado", status: "pass" }
+            ],
+            bottlenecks: [],
+            upgrades: [
+                { component: "gpu", suggestion: "Mantenha os drivers de vídeo atualizados." },
+                { component: "storage", suggestion: "Um SSD reduz os tempos de carregamento." }
+            ],
+            score: 8
+        },
+        {
+            verdict: "incompatible",
+            summary: "Os componentes marcados com ❌ ficam abaixo do mínimo exigido. ⚠️",
+            components: [
+                { component: "cpu", required: "Intel Core i5", yours: "Conforme informado", status: "pass" },
+                { component: "gpu", required: "NVIDIA GTX 1060", yours: "Conforme informado", status: "fail" },
+                { component: "ram", required: "16 GB", yours: "Conforme informado", status: "fail" }
+            ],
+            bottlenecks: [
+                { component: "gpu", description: "A placa de vídeo limita a taxa de quadros mesmo nas configurações mínimas." }
+            ],
+            upgrades: [
+                { component: "gpu", suggestion: "Troque a placa de vídeo por uma GTX 1660 ou superior." },
+                { component: "ram", suggestion: "Adicione mais 8 GB de RAM." }
+            ],
+            score: 3
+        }
+    ],
+    en: [
+        {
+            verdict: "compatible",
+            summary: "Your setup comfortably meets the minimum requirements. 💪",
+            components: [
+                { component: "cpu", required: "Intel Core i5", yours: "As provided", status: "pass" },
+                { component: "gpu", required: "NVIDIA GTX 1050", yours: "As provided", status: "pass" },
+                { component: "ram", required: "8 GB", yours: "As provided", status: "pass" }
+            ],
+            bottlenecks: [],
+            upgrades: [
+                { component: "gpu", suggestion: "Keep your graphics drivers up to date." },
+                { component: "storage", suggestion: "An SSD cuts down loading times." }
+            ],
+            score: 8
+        },
+        {
+            verdict: "incompatible",
+            summary: "The components marked with ❌ fall below the minimum requirements. ⚠️",
+            components: [
+                { component: "cpu", required: "Intel Core i5", yours: "As provided", status: "pass" },
+                { component: "gpu", required: "NVIDIA GTX 1060", yours: "As provided", status: "fail" },
+                { component: "ram", required: "16 GB", yours: "As provided", status: "fail" }
+            ],
+            bottlenecks: [
+                { component: "gpu", description: "The graphics card limits the frame rate even at minimum settings." }
+            ],
+            upgrades: [
+                { component: "gpu", suggestion: "Replace the graphics card with a GTX 1660 or better." },
+                { component: "ram", suggestion: "Add another 8 GB of RAM." }
+            ],
+            score: 3
+        }
+    ],
+    es: [
+        {
+            verdict: "compatible",
+            summary: "Tu configuración cumple con holgura los requisitos mínimos. 💪",
+            components: [
+                { component: "cpu", required: "Intel Core i5", yours: "Según lo informado", status: "pass" },
+                { component: "gpu", required: "NVIDIA GTX 1050", yours: "Según lo informado", status: "pass" },
+                { component: "ram", required: "8 GB", yours: "Según lo informado", status: "pass" }
+            ],
+            bottlenecks: [],
+            upgrades: [
+                { component: "gpu", suggestion: "Mantén actualizados los controladores de video." },
+                { component: "storage", suggestion: "Un SSD reduce los tiempos de carga." }
+            ],
+            score: 8
+        },
+        {
+            verdict: "incompatible",
+            summary: "Los componentes marcados con ❌ quedan por debajo del mínimo exigido. ⚠️",
+            components: [
+                { component: "cpu", required: "Intel Core i5", yours: "Según lo informado", status: "pass" },
+                { component: "gpu", required: "NVIDIA GTX 1060", yours: "Según lo informado", status: "fail" },
+                { component: "ram", required: "16 GB", yours: "Según lo informado", status: "fail" }
+            ],
+            bottlenecks: [
+                { component: "gpu", description: "La tarjeta de video limita la tasa de fotogramas incluso en la configuración mínima." }
+            ],
+            upgrades: [
+                { component: "gpu", suggestion: "Cambia la tarjeta de video por una GTX 1660 o superior." },
+                { component: "ram", suggestion: "Agrega otros 8 GB de RAM." }
+            ],
+            score: 3
+        }
+    ]
+};
+
+const DEFAULT_LOCALE = "pt-BR";
+
+// Hash FNV-1a de 32 bits: mesma entrada, mesma fixture
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new Error("Requisição cancelada"));
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error("Requisição cancelada"));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+// Tamanho dos pedaços e intervalo usados para simular o streaming
+const STREAM_CHUNK_SIZE = 24;
+
+function createFixtureProvider(config) {
+    const modelName = config.model || "fixture-v1";
+    const streamDelayMs = config.streamDelayMs ?? 20;
+
+    return {
+        name: "fixture",
+        model: modelName,
+
+        async generate({ systemInstruction = "", message, history = [], json = false, signal, context = {} }) {
+            if (signal?.aborted) {
+                throw new Error("Requisição cancelada");
+            }
+
+            // Responde no idioma do pedido e, se o motor de compatibilidade já calculou o veredito, segue o mesmo
+            const fixtures = FIXTURES[context.locale] || FIXTURES[DEFAULT_LOCALE];
+            const fixture = fixtures.find(item => item.verdict === context.verdict) ||
+                fixtures[hashText(message) % fixtures.length];
+
+            const text = json
+                ? JSON.stringify(fixture)
+                : [fixture.summary, "", ...fixture.upgrades.map(item => `- ${item.suggestion}`)].join("\n");
+
+            const promptText = systemInstruction + history.map(msg => msg.content).join("") + message;
+            const promptTokens = estimateTokens(promptText);
+            const completionTokens = estimateTokens(text);
+
+            return {
+                text,
+                model: modelName,
+                usage: {
+                    promptTokens,
+                    completionTokens,
+                    totalTokens: promptTokens + completionTokens
+                }
+            };
+        },
+
+        async *stream(options) {
+            const result = await this.generate(options);
+
+            for (let i = 0; i < result.text.length; i += STREAM_CHUNK_SIZE) {
+                await delay(streamDelayMs, options.signal);
+                yield { type: "token", text: result.text.slice(i, i + STREAM_CHUNK_SIZE) };
+            }
+
+            yield { type: "usage", model: result.model, usage: result.usage };
+        }
+    };
+}
+
+module.exports = { createFixtureProvider, FIXTURES };
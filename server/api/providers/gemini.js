@@ -0,0 +1,83 @@
+// Provedor Google Gemini
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+function mapUsage(usage = {}) {
+    return {
+        promptTokens: usage.promptTokenCount,
+        completionTokens: usage.candidatesTokenCount,
+        totalTokens: usage.totalTokenCount
+    };
+}
+
+function createGeminiProvider(config) {
+    if (!config.apiKey) {
+        throw new Error("Chave de API do Gemini não encontrada! Defina GOOGLE_GEMINI_API_KEY no arquivo .env");
+    }
+
+    const genAI = new GoogleGenerativeAI(config.apiKey);
+    const modelName = config.model || "gemini-pro";
+
+    // Configuração do chat com histórico
+    function startChat({ systemInstruction, history = [], maxOutputTokens, json = false }) {
+        const model = genAI.getGenerativeModel({
+            model: modelName,
+            systemInstruction
+        });
+
+        return model.startChat({
+            history: history.map(msg => ({
+                role: msg.role === "assistant" ? "model" : msg.role,
+                parts: [{ text: msg.content }]
+            })),
+            generationConfig: {
+                maxOutputTokens,
+                ...(json && { responseMimeType: "application/json" }),
+                temperature: 0.7,
+                topP: 0.9,
+                topK: 40
+            },
+            safetySettings: [
+                {
+                    category: "HARM_CATEGORY_HARASSMENT",
+                    threshold: "BLOCK_NONE"
+                },
+                {
+                    category: "HARM_CATEGORY_HATE_SPEECH",
+                    threshold: "BLOCK_NONE"
+                }
+            ]
+        });
+    }
+
+    return {
+        name: "gemini",
+        model: modelName,
+
+        async generate(options) {
+            const result = await startChat(options).sendMessage(options.message, { signal: options.signal });
+            if (!result?.response) {
+                throw new Error("Resposta inválida da API");
+            }
+
+            return {
+                text: result.response.text(),
+                model: modelName,
+                usage: mapUsage(result.response.usageMetadata)
+            };
+        },
+
+        async *stream(options) {
+            const result = await startChat(options).sendMessageStream(options.message, { signal: options.signal });
+
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                if (text) yield { type: "token", text };
+            }
+
+            const response = await result.response;
+            yield { type: "usage", model: modelName, usage: mapUsage(response.usageMetadata) };
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
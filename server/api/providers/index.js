@@ -0,0 +1,106 @@
+// Camada de provedores de IA: todos expõem a mesma interface
+//   generate({ systemInstruction, message, history, maxOutputTokens, json, signal })
+//     -> { text, model, usage: { promptTokens, completionTokens, totalTokens } }
+//   stream(mesmas opções)
+//     -> async iterator de { type: "token", text } seguido de um { type: "usage", model, usage }
+// Com `json: true` o provedor deve responder apenas com um objeto JSON.
+// `context` ({ locale, verdict }) descreve o pedido como dado: os provedores reais já recebem tudo
+// no prompt e o ignoram; a fixture o usa para responder no idioma e com o veredito do motor de regras.
+
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createFixtureProvider } = require("./fixture");
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    fixture: createFixtureProvider
+};
+
+// Lê a configuração do provedor a partir das variáveis de ambiente
+function providerConfigFromEnv(env = process.env) {
+    const name = (env.LLM_PROVIDER || "gemini").toLowerCase();
+
+    switch (name) {
+        case "gemini":
+            return { name, apiKey: env.GOOGLE_GEMINI_API_KEY, model: env.GEMINI_MODEL };
+        case "openai":
+            return { name, apiKey: env.OPENAI_API_KEY, baseUrl: env.OPENAI_BASE_URL, model: env.OPENAI_MODEL };
+        default:
+            return {
+                name,
+                model: env.FIXTURE_MODEL,
+                streamDelayMs: env.FIXTURE_STREAM_DELAY_MS !== undefined ? parseInt(env.FIXTURE_STREAM_DELAY_MS) : undefined
+            };
+    }
+}
+
+function createProvider(config) {
+    const factory = PROVIDERS[config.name];
+    if (!factory) {
+        throw new Error(`Provedor de IA desconhecido: "${config.name}". Use um de: ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+    return factory(config);
+}
+
+/**
+ * Envolve o provedor para medir cada chamada. `onCall` recebe
+ * { operation: "generate" | "stream", durationMs, outcome: "success" | "aborted" | "error", model, usage }.
+ */
+function instrumentProvider(provider, onCall) {
+    function report(operation, start, outcome, result) {
+        onCall({
+            operation,
+            durationMs: performance.now() - start,
+            outcome,
+            model: result?.model || provider.model,
+            usage: result?.usage
+        });
+    }
+
+    return {
+        ...provider,
+
+        async generate(options) {
+            const start = performance.now();
+            try {
+                const result = await provider.generate(options);
+                report("generate", start, "success", result);
+                return result;
+            } catch (error) {
+                report("generate", start, options.signal?.aborted ? "aborted" : "error");
+                throw error;
+            }
+        },
+
+        // O consumidor pode interromper a iteração (cancelamento); o `finally` registra a chamada mesmo assim
+        async *stream(options) {
+            const start = performance.now();
+            let final = null;
+            let completed = false;
+            try {
+                for await (const part of provider.stream(options)) {
+                    if (part.type === "usage") final = part;
+                    yield part;
+                }
+                completed = true;
+            } finally {
+                const outcome = completed ? "success" : options.signal?.aborted ? "aborted" : "error";
+                report("stream", start, outcome, final);
+            }
+        }
+    };
+}
+
+// Converte o uso de tokens do provedor no campo `tokensUsed` da resposta
+function tokensUsedFrom(usage) {
+    return Number.isFinite(usage?.totalTokens) ? usage.totalTokens : "N/A";
+}
+
+module.exports = {
+    PROVIDERS,
+    providerConfigFromEnv,
+    createProvider,
+    instrumentProvider,
+    tokensUsedFrom
+};
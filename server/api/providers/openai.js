@@ -0,0 +1,105 @@
+// Provedor compatível com a API de chat completions da OpenAI (OpenAI, Azure, Ollama, LM Studio...)
+
+function mapUsage(usage = {}) {
+    return {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        totalTokens: usage.total_tokens
+    };
+}
+
+function createOpenAIProvider(config) {
+    if (!config.apiKey && !config.baseUrl) {
+        throw new Error("Chave de API da OpenAI não encontrada! Defina OPENAI_API_KEY (ou OPENAI_BASE_URL para servidores locais) no arquivo .env");
+    }
+
+    const baseUrl = (config.baseUrl || "https://api.openai.com/v1").replace(/\/+$/, "");
+    const modelName = config.model || "gpt-4o-mini";
+
+    async function requestCompletion({ systemInstruction, message, history = [], maxOutputTokens, json = false, signal }, stream) {
+        const messages = [
+            { role: "system", content: systemInstruction },
+            ...history.map(msg => ({
+                role: msg.role === "model" ? "assistant" : msg.role,
+                content: msg.content
+            })),
+            { role: "user", content: message }
+        ];
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` })
+            },
+            body: JSON.stringify({
+                model: modelName,
+                messages,
+                max_tokens: maxOutputTokens,
+                temperature: 0.7,
+                top_p: 0.9,
+                ...(json && { response_format: { type: "json_object" } }),
+                ...(stream && { stream: true, stream_options: { include_usage: true } })
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => null);
+            throw new Error(`Erro do provedor OpenAI (${response.status}): ${data?.error?.message || response.statusText}`);
+        }
+        return response;
+    }
+
+    return {
+        name: "openai",
+        model: modelName,
+
+        async generate(options) {
+            const response = await requestCompletion(options, false);
+            const data = await response.json().catch(() => null);
+
+            const text = data?.choices?.[0]?.message?.content;
+            if (typeof text !== "string") {
+                throw new Error("Resposta inválida da API");
+            }
+
+            return {
+                text,
+                model: data.model || modelName,
+                usage: mapUsage(data.usage)
+            };
+        },
+
+        // Lê o corpo SSE ("data: {...}" por linha, encerrado por "data: [DONE]")
+        async *stream(options) {
+            const response = await requestCompletion(options, true);
+            const decoder = new TextDecoder();
+            let buffer = "";
+            let model = modelName;
+            let usage;
+
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split("\n");
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const payload = line.replace(/^data:\s*/, "").trim();
+                    if (!line.startsWith("data:") || !payload || payload === "[DONE]") continue;
+
+                    const data = JSON.parse(payload);
+                    model = data.model || model;
+                    if (data.usage) usage = data.usage;
+
+                    const text = data.choices?.[0]?.delta?.content;
+                    if (text) yield { type: "token", text };
+                }
+            }
+
+            yield { type: "usage", model, usage: mapUsage(usage) };
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
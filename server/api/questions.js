@@ -0,0 +1,131 @@
+// Definição versionada do questionário (data/questions.json), servida em /api/questions
+// e usada para validar as respostas recebidas
+
+const definition = require("./data/questions.json");
+const { catalog } = require("./compatibility");
+const { DEFAULT_LOCALE, t, questionTranslations } = require("./i18n");
+
+const MAX_TEXT_LENGTH = 200;
+
+// Listas de opções preenchidas a partir de outros catálogos
+const OPTION_SOURCES = {
+    software: () => catalog.software.map(entry => ({ value: entry.name, label: entry.name }))
+};
+
+const QUESTIONNAIRE = {
+    version: definition.version,
+    updatedAt: definition.updatedAt,
+    questions: definition.questions.map(question => {
+        const { optionsFrom, ...rest } = question;
+        return optionsFrom ? { ...rest, options: OPTION_SOURCES[optionsFrom]() } : rest;
+    })
+};
+
+// Questionário com os textos no idioma pedido; o que não tiver tradução mantém o texto original
+const localized = new Map();
+
+function questionnaireFor(locale = DEFAULT_LOCALE) {
+    if (!localized.has(locale)) {
+        const translations = questionTranslations(locale);
+        localized.set(locale, {
+            ...QUESTIONNAIRE,
+            locale,
+            questions: QUESTIONNAIRE.questions.map(question => {
+                const { options: optionLabels = {}, ...texts } = translations[question.id] || {};
+                return {
+                    ...question,
+                    ...texts,
+                    ...(question.options && {
+                        options: question.options.map(option => ({ ...option, label: optionLabels[option.value] ?? option.label }))
+                    })
+                };
+            })
+        });
+    }
+    return localized.get(locale);
+}
+
+function findQuestion(id, locale) {
+    return questionnaireFor(locale).questions.find(question => question.id === id) || null;
+}
+
+// Condições de exibição: { field, equals | notEquals | in | notIn | includes }, ou uma lista (todas devem valer).
+// A mesma regra é aplicada no navegador (questionnaire.js)
+function matchesCondition(condition, answers) {
+    if (!condition) return true;
+    if (Array.isArray(condition)) return condition.every(item => matchesCondition(item, answers));
+
+    const value = answers[condition.field];
+    if ("equals" in condition) return value === condition.equals;
+    if ("notEquals" in condition) return value !== condition.notEquals;
+    if ("in" in condition) return condition.in.includes(value);
+    if ("notIn" in condition) return !condition.notIn.includes(value);
+    if ("includes" in condition) return Array.isArray(value) && value.includes(condition.includes);
+    return true;
+}
+
+function isVisible(question, answers) {
+    return matchesCondition(question.showIf, answers);
+}
+
+function visibleOptions(question, answers) {
+    return (question.options || []).filter(option => matchesCondition(option.showIf, answers));
+}
+
+function isShortString(value) {
+    return typeof value === "string" && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH;
+}
+
+/**
+ * Valida a resposta de uma pergunta conforme o tipo definido no esquema.
+ * Retorna { value, text } (texto legível para o perfil) ou { error }.
+ * A opção "Outro" é tratada por quem chama, pois depende de otherSpecifications.
+ */
+function parseAnswer(question, value, answers, locale = DEFAULT_LOCALE) {
+    const invalid = { error: t(locale, "profile.invalidField", { field: question.id }) };
+    const unknown = { error: t(locale, "profile.unknownOption", { field: question.id }) };
+
+    switch (question.type) {
+        case "radio":
+        case "select": {
+            if (!isShortString(value)) return invalid;
+            const option = visibleOptions(question, answers).find(item => item.value === value);
+            if (option) return { value, text: option.label };
+            if (question.allowCustom) return { value: value.trim(), text: value.trim() };
+            return unknown;
+        }
+        case "number": {
+            const number = typeof value === "string" ? Number(value) : value;
+            if (typeof number !== "number" || !Number.isFinite(number) ||
+                number < question.min || number > question.max) {
+                return { error: t(locale, "profile.outOfRange", { min: question.min, max: question.max, unit: question.unit, field: question.id }) };
+            }
+            return { value: number, text: `${number} ${question.unit}` };
+        }
+        case "multiselect": {
+            const options = visibleOptions(question, answers);
+            if (!Array.isArray(value) || value.length < (question.minSelected || 0) ||
+                new Set(value).size !== value.length) {
+                return invalid;
+            }
+            const selected = value.map(item => options.find(option => option.value === item));
+            if (selected.some(option => !option)) {
+                return unknown;
+            }
+            return { value, text: selected.map(option => option.label).join(", ") };
+        }
+        case "text":
+            return isShortString(value) ? { value: value.trim(), text: value.trim() } : invalid;
+        default:
+            return invalid;
+    }
+}
+
+module.exports = {
+    QUESTIONNAIRE,
+    questionnaireFor,
+    findQuestion,
+    isVisible,
+    visibleOptions,
+    parseAnswer
+};
@@ -0,0 +1,98 @@
+// Validador mínimo para o subconjunto de JSON Schema usado no projeto: o esquema da análise
+// (analysis.js) e os esquemas do documento OpenAPI da API pública (openapi.js).
+// Cada problema é um código com parâmetros; o texto vem dos catálogos de mensagens (schema.<código>)
+
+const { DEFAULT_LOCALE, t } = require("./i18n");
+
+// Códigos dos problemas: as palavras-chave do esquema que não foram atendidas
+const SCHEMA_ERROR_CODES = ["type", "enum", "minLength", "maxLength", "pattern", "minimum", "maximum",
+    "required", "additionalProperties", "minItems", "maxItems", "uniqueItems"];
+
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+// "#/components/schemas/Perfil" -> esquema dentro de `root`
+function resolveRef(ref, root) {
+    const target = ref.replace(/^#\//, "").split("/").reduce((node, key) => node?.[key], root);
+    if (!target) throw new Error(`Referência de esquema desconhecida: ${ref}`);
+    return target;
+}
+
+function validateAgainst(schema, value, path, errors, root) {
+    if (schema.$ref) return validateAgainst(resolveRef(schema.$ref, root), value, path, errors, root);
+    if (value === null && schema.nullable) return errors;
+
+    const actual = typeOf(value);
+    const typeMatches = !schema.type || actual === schema.type || (schema.type === "number" && actual === "integer");
+    if (!typeMatches) {
+        errors.push({ path, code: "type", params: { expected: schema.type, actual } });
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, code: "enum", params: { value, allowed: schema.enum } });
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push({ path, code: "minLength", params: { limit: schema.minLength } });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path, code: "maxLength", params: { limit: schema.maxLength } });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, code: "pattern", params: {} });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, code: "minimum", params: { limit: schema.minimum } });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, code: "maximum", params: { limit: schema.maximum } });
+    }
+
+    if (schema.type === "object") {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push({ path: `${path}.${key}`, code: "required", params: {} });
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (key in value) validateAgainst(child, value[key], `${path}.${key}`, errors, root);
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!(key in (schema.properties || {}))) errors.push({ path: `${path}.${key}`, code: "additionalProperties", params: {} });
+            }
+        }
+    }
+    if (schema.type === "array") {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, code: "minItems", params: { limit: schema.minItems } });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, code: "maxItems", params: { limit: schema.maxItems } });
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push({ path, code: "uniqueItems", params: {} });
+        }
+        value.forEach((item, index) => validateAgainst(schema.items, item, `${path}[${index}]`, errors, root));
+    }
+    return errors;
+}
+
+/**
+ * Valida `value` contra `schema` e retorna a lista de problemas (vazia se válido), cada um
+ * { path: "$.campo", code, params }. `root` é o documento onde os `$ref` são resolvidos.
+ */
+function validateSchema(schema, value, { root = schema, path = "$" } = {}) {
+    return validateAgainst(schema, value, path, [], root);
+}
+
+// Motivo do problema no idioma `locale`, ex.: "mais de 200 caracteres"
+function schemaErrorMessage({ code, params }, locale = DEFAULT_LOCALE) {
+    const text = Object.fromEntries(Object.entries(params).map(([name, value]) =>
+        [name, Array.isArray(value) ? value.join(", ") : value]));
+    return t(locale, `schema.${code}`, text);
+}
+
+module.exports = { SCHEMA_ERROR_CODES, validateSchema, schemaErrorMessage };
@@ -0,0 +1,395 @@
+// Importação de relatórios de hardware (dxdiag, lshw -json, inxi, system_profiler, CPU-Z)
+// e conversão para as respostas do questionário
+
+const { matchHardware } = require("./hardware");
+const { normalizeText, parseOsText } = require("./compatibility");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+
+const MAX_REPORT_LENGTH = 500000;
+// Opções de RAM do questionário; valores a até 10% de distância são arredondados para elas
+const RAM_BUCKETS = { "4gb": 4, "8gb": 8, "16gb": 16, "32gb": 32 };
+const RAM_TOLERANCE = 0.1;
+// Primeira build do Windows 11 (o dxdiag e o CPU-Z ainda o chamam de "Windows 10")
+const WINDOWS_11_BUILD = 22000;
+// GPUs integradas perdem para uma dedicada quando o relatório lista as duas
+const INTEGRATED_GPU = /intel|uhd|iris|hd graphics|radeon graphics|vega \d+ graphics|llvmpipe|microsoft basic/i;
+
+const UNIT_TO_GB = { b: 1 / 1024 ** 3, bytes: 1 / 1024 ** 3, kb: 1 / 1024 ** 2, mb: 1 / 1024, mib: 1 / 1024, mbytes: 1 / 1024, gb: 1, gib: 1, gbytes: 1, tb: 1024, tib: 1024 };
+
+function toGb(value, unit) {
+    const factor = UNIT_TO_GB[String(unit).toLowerCase()];
+    const number = parseFloat(String(value).replace(",", "."));
+    return factor && Number.isFinite(number) ? number * factor : null;
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Valor de uma linha "Chave: valor" (dxdiag, system_profiler)
+function lineValue(text, key) {
+    const match = text.match(new RegExp(`^[ \\t]*${key}[ \\t]*:[ \\t]*(.+?)[ \\t]*$`, "im"));
+    return match ? match[1] : null;
+}
+
+// Valor de uma linha "Chave<tab>valor" (CPU-Z). Diferencia maiúsculas: "Memory Size" ≠ "Memory size"
+function tabValue(text, key) {
+    const match = text.match(new RegExp(`^[ \\t]*${key}\\t+[ \\t]*(.+?)[ \\t]*$`, "m"));
+    return match ? match[1] : null;
+}
+
+function cleanCpuName(name) {
+    return name
+        .replace(/\((R|TM)\)/gi, "")
+        .replace(/^\d+(st|nd|rd|th) Gen\s+/i, "")
+        .replace(/\(\d+ CPUs\).*$/i, "")
+        .replace(/@.*$/, "")
+        .replace(/\b\d+-Core Processor\b/i, "")
+        .replace(/\b(CPU|Processor)\b/gi, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function cleanGpuName(name) {
+    return name
+        .replace(/\((R|TM)\)/gi, "")
+        .replace(/\/PCIe.*$|\/SSE2.*$/i, "")
+        .replace(/\s+(Lite Hash Rate|LHR)\b/i, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// Windows 11 é identificado pela build; o restante do nome é mantido
+function describeWindows(name) {
+    const build = name.match(/Build (\d+)/i);
+    const cleaned = name.replace(/^Microsoft\s+/i, "").replace(/\s*\(.*$/, "").trim();
+    if (build && Number(build[1]) >= WINDOWS_11_BUILD) {
+        return cleaned.replace(/Windows 10/i, "Windows 11");
+    }
+    return cleaned;
+}
+
+// Entre várias placas de vídeo, a dedicada com mais VRAM
+function pickGpu(gpus) {
+    const named = gpus.filter(gpu => gpu.name);
+    if (!named.length) return null;
+
+    return named.reduce((best, gpu) => {
+        const bestIntegrated = INTEGRATED_GPU.test(best.name);
+        const integrated = INTEGRATED_GPU.test(gpu.name);
+        if (bestIntegrated !== integrated) return integrated ? best : gpu;
+        return (gpu.vramGb || 0) > (best.vramGb || 0) ? gpu : best;
+    });
+}
+
+function withGpu(specs, gpus) {
+    const gpu = pickGpu(gpus);
+    if (gpu) {
+        specs.gpu = cleanGpuName(gpu.name);
+        if (gpu.vramGb) specs.vramGb = round(gpu.vramGb);
+    }
+    return specs;
+}
+
+// ---------------------------------------------------------------------------
+// Formatos suportados
+
+function parseDxdiag(text) {
+    const specs = {};
+    const os = lineValue(text, "Operating System");
+    if (os) specs.os = describeWindows(os);
+
+    const cpu = lineValue(text, "Processor");
+    if (cpu) specs.cpu = cleanCpuName(cpu);
+
+    const memory = (lineValue(text, "Memory") || "").match(/([\d.]+)\s*(MB|GB)/i);
+    if (memory) specs.ramGb = round(toGb(memory[1], memory[2]));
+
+    const gpus = text.split(/^[ \t]*Card name:/im).slice(1).map(block => {
+        const vram = (lineValue(block, "Dedicated Memory") || "").match(/([\d.]+)\s*(MB|GB)/i);
+        return {
+            name: block.split(/\r?\n/)[0].trim(),
+            vramGb: vram ? toGb(vram[1], vram[2]) : null
+        };
+    });
+    withGpu(specs, gpus);
+
+    const freeSpaces = [...text.matchAll(/^[ \t]*Free Space:[ \t]*([\d.,]+)\s*(MB|GB|TB)/gim)]
+        .map(match => toGb(match[1], match[2]));
+    if (freeSpaces.length) specs.freeDiskGb = round(Math.max(...freeSpaces));
+
+    return specs;
+}
+
+function parseLshw(text) {
+    const data = JSON.parse(text);
+    // Percurso em pré-ordem com pilha explícita: relatórios muito aninhados não estouram a pilha de chamadas
+    const nodes = [];
+    const pending = [data];
+    while (pending.length) {
+        const node = pending.pop();
+        if (Array.isArray(node)) {
+            for (let i = node.length - 1; i >= 0; i--) pending.push(node[i]);
+        } else if (node && typeof node === "object") {
+            nodes.push(node);
+            if (Array.isArray(node.children)) pending.push(node.children);
+        }
+    }
+
+    // O lshw só existe no Linux
+    const specs = { os: "Linux" };
+
+    const cpu = nodes.find(node => node.class === "processor" && node.product);
+    if (cpu) specs.cpu = cleanCpuName(cpu.product);
+
+    const memory = nodes.find(node => node.class === "memory" && /^memory/.test(node.id) && node.size);
+    if (memory) specs.ramGb = round(toGb(memory.size, memory.units || "bytes"));
+
+    // "TU116 [GeForce GTX 1660 SUPER]" + "NVIDIA Corporation" → "NVIDIA GeForce GTX 1660 SUPER"
+    const gpus = nodes.filter(node => node.class === "display" && node.product).map(node => {
+        const bracket = node.product.match(/\[(.+)\]/);
+        const vendor = (node.vendor || "").match(/nvidia|intel|amd|advanced micro devices/i);
+        const vendorName = vendor ? (/advanced/i.test(vendor[0]) ? "AMD" : vendor[0].toUpperCase() === "NVIDIA" ? "NVIDIA" : vendor[0]) : "";
+        const model = bracket ? bracket[1] : node.product;
+        return { name: model.toLowerCase().startsWith(vendorName.toLowerCase()) ? model : `${vendorName} ${model}` };
+    });
+    return withGpu(specs, gpus);
+}
+
+// Seções do inxi: linhas que começam na coluna 0 ("CPU:", "Graphics:"...) e suas continuações
+function inxiSections(text) {
+    const sections = {};
+    let current = null;
+    for (const line of text.split(/\r?\n/)) {
+        const header = line.match(/^([A-Z][\w ]*?):\s+(.*)$/);
+        if (header) {
+            current = header[1];
+            sections[current] = header[2];
+        } else if (current) {
+            sections[current] += `\n${line}`;
+        }
+    }
+    return sections;
+}
+
+// Valor de um par "chave: valor" do inxi, até a próxima chave da mesma linha
+function inxiValue(text, key) {
+    const match = (text || "").match(new RegExp(`\\b${key}:\\s+(.+?)(?=\\s+[A-Za-z][\\w/-]*:\\s|$)`, "m"));
+    return match ? match[1].trim() : null;
+}
+
+function parseInxi(text) {
+    const sections = inxiSections(text);
+    const specs = {};
+
+    const distro = inxiValue(sections.System, "Distro");
+    specs.os = distro ? distro.replace(/\s*\(.*\)$/, "") : "Linux";
+
+    const cpuModel = inxiValue(sections.CPU, "model");
+    if (cpuModel) {
+        specs.cpu = cleanCpuName(cpuModel);
+    } else if (sections.CPU) {
+        // Versões antigas: "CPU: Quad core Intel Core i5-4460 (-MCP-) speed/max: ..."
+        const legacy = sections.CPU.split("\n")[0]
+            .replace(/^(Info:\s*)?\S+[ -]core\s+/i, "")
+            .replace(/\s*\(-.*$/, "");
+        specs.cpu = cleanCpuName(legacy);
+    }
+
+    const graphics = sections.Graphics || "";
+    const devices = [...graphics.matchAll(/Device-\d+:\s+(.+?)(?=\s+(?:vendor|driver|bus-ID):|$)/gm)].map(match => {
+        const bracket = match[1].match(/\[(.+)\]/);
+        const vendor = match[1].match(/^(NVIDIA|AMD|Intel)/i);
+        return { name: bracket ? `${vendor && !bracket[1].startsWith(vendor[0]) ? `${vendor[0]} ` : ""}${bracket[1]}` : match[1] };
+    });
+    const renderer = inxiValue(graphics, "renderer");
+    if (renderer) devices.push({ name: renderer.replace(/^Mesa\s+/i, "").replace(/\s*\(.*\)$/, "") });
+    withGpu(specs, devices);
+
+    const memoryText = [sections.Memory, sections.Info].filter(Boolean).join("\n");
+    const memory = memoryText.match(/total:\s*([\d.]+)\s*(GiB|MiB|GB|MB)/i)
+        || memoryText.match(/Memory:\s*[\d.]+\/([\d.]+)\s*(MiB|MB|GiB|GB)/i)
+        || memoryText.match(/Memory:\s*([\d.]+)\s*(GiB|MiB|GB|MB)/i)
+        || (sections.Memory || "").match(/^\s*([\d.]+)\s*(GiB|MiB|GB|MB)/i);
+    if (memory) specs.ramGb = round(toGb(memory[1], memory[2]));
+
+    const drives = sections.Drives || "";
+    const storage = drives.match(/total:\s*([\d.]+)\s*(GiB|TiB|GB|TB)\s+used:\s*([\d.]+)\s*(GiB|TiB|GB|TB)/i);
+    const legacyStorage = drives.match(/Total Size:\s*([\d.]+)\s*(GB|TB)\s*\(([\d.]+)% used\)/i);
+    if (storage) {
+        specs.freeDiskGb = round(toGb(storage[1], storage[2]) - toGb(storage[3], storage[4]));
+    } else if (legacyStorage) {
+        specs.freeDiskGb = round(toGb(legacyStorage[1], legacyStorage[2]) * (1 - legacyStorage[3] / 100));
+    }
+
+    return specs;
+}
+
+function parseSystemProfiler(text) {
+    const specs = {};
+    const version = lineValue(text, "System Version");
+    specs.os = version ? version.replace(/\s*\(.*\)$/, "") : "macOS";
+
+    const chip = lineValue(text, "Chip");
+    const processor = lineValue(text, "Processor Name");
+    if (chip) specs.cpu = chip;
+    else if (processor) specs.cpu = cleanCpuName(processor.replace(/^\S+-Core\s+/i, ""));
+
+    const memory = (lineValue(text, "Memory") || "").match(/([\d.]+)\s*(GB|MB|TB)/i);
+    if (memory) specs.ramGb = round(toGb(memory[1], memory[2]));
+
+    const gpus = text.split(/^[ \t]*Chipset Model:/im).slice(1).map(block => {
+        const vram = (lineValue(block, "VRAM \\(Total\\)") || "").match(/([\d.]+)\s*(MB|GB)/i);
+        return {
+            name: block.split(/\r?\n/)[0].trim(),
+            vramGb: vram ? toGb(vram[1], vram[2]) : null
+        };
+    });
+    withGpu(specs, gpus);
+
+    // Presente apenas quando o relatório inclui SPStorageDataType
+    const free = (lineValue(text, "Free") || "").match(/([\d.,]+)\s*(GB|TB)/i);
+    if (free) specs.freeDiskGb = round(toGb(free[1], free[2]));
+
+    return specs;
+}
+
+// Seção do relatório do CPU-Z: título, linha de traços e conteúdo até o próximo título
+function cpuzSection(text, title) {
+    const start = text.indexOf(`\n${title}`);
+    if (start === -1) return "";
+    const body = text.indexOf("\n", text.indexOf("---", start));
+    const nextTitle = text.indexOf("\n---", body);
+    return text.slice(body, nextTitle === -1 ? text.length : text.lastIndexOf("\n", nextTitle - 1));
+}
+
+function parseCpuz(text) {
+    const specs = {};
+    const windows = tabValue(text, "Windows Version");
+    if (windows) specs.os = describeWindows(windows);
+
+    const processors = cpuzSection(text, "Processors Information");
+    const cpu = tabValue(processors, "Specification") || tabValue(processors, "Name");
+    if (cpu) specs.cpu = cleanCpuName(cpu);
+
+    const memory = (tabValue(text, "Memory Size") || "").match(/([\d.]+)\s*(GBytes|MBytes)/i);
+    if (memory) specs.ramGb = round(toGb(memory[1], memory[2]));
+
+    const adapters = cpuzSection(text, "Display Adapters");
+    const gpus = adapters.split(/^[ \t]*Display adapter \d+/im).slice(1).map(block => {
+        const vram = (tabValue(block, "Memory size") || "").match(/([\d.]+)\s*(MB|GB)/i);
+        return {
+            name: tabValue(block, "Name"),
+            vramGb: vram ? toGb(vram[1], vram[2]) : null
+        };
+    });
+    return withGpu(specs, gpus);
+}
+
+// Ordem importa: o relatório do CPU-Z também contém linhas "Processor" e "Memory"
+const FORMATS = [
+    { id: "lshw", name: "lshw -json", detect: text => /^\s*[[{]/.test(text), parse: parseLshw },
+    { id: "cpuz", name: "CPU-Z", detect: text => /CPU-Z\s+TXT Report/i.test(text), parse: parseCpuz },
+    { id: "dxdiag", name: "DxDiag", detect: text => /^\s*Card name:/im.test(text) || /DxDiag Version/i.test(text), parse: parseDxdiag },
+    { id: "system_profiler", name: "system_profiler", detect: text => /Hardware Overview:|Chipset Model:/.test(text), parse: parseSystemProfiler },
+    { id: "inxi", name: "inxi", detect: text => /^(System|CPU|Graphics):\s/m.test(text), parse: parseInxi }
+];
+
+/**
+ * Identifica o formato do relatório e extrai SO, CPU, GPU/VRAM, RAM e espaço livre.
+ * Retorna { format, specs } ou { error } com a mensagem para o usuário.
+ */
+function parseSpecReport(report, locale = DEFAULT_LOCALE) {
+    if (typeof report !== "string" || !report.trim()) {
+        return { error: t(locale, "specs.empty") };
+    }
+    if (report.length > MAX_REPORT_LENGTH) {
+        return { error: t(locale, "specs.tooLarge") };
+    }
+
+    const text = report.replace(/^\uFEFF/, "");
+    const format = FORMATS.find(candidate => candidate.detect(text));
+    if (!format) {
+        return { error: t(locale, "specs.unknownFormat") };
+    }
+
+    let specs;
+    try {
+        specs = format.parse(text);
+    } catch (error) {
+        return { error: t(locale, "specs.unreadable", { format: format.name }) };
+    }
+
+    if (!Object.keys(specs).some(key => key !== "os")) {
+        return { error: t(locale, "specs.noHardware", { format: format.name }) };
+    }
+    return { format: format.id, formatName: format.name, specs };
+}
+
+function osAnswer(os) {
+    const normalized = normalizeText(os);
+    const family = parseOsText(os);
+    if (family === "windows10" && /windows 10/.test(normalized)) return "windows10";
+    if (family === "windows7" && /windows 7/.test(normalized)) return "windows7";
+    if (family === "macos" || family === "linux") return family;
+    return null;
+}
+
+// A diferença é arredondada para que os limites exatos (ex.: 4,4 GB para 4 GB) não dependam do erro de ponto flutuante
+function ramAnswer(ramGb) {
+    return Object.keys(RAM_BUCKETS).find(bucket =>
+        round(Math.abs(RAM_BUCKETS[bucket] - ramGb), 2) <= RAM_BUCKETS[bucket] * RAM_TOLERANCE) || null;
+}
+
+/**
+ * Converte as especificações extraídas em { answers, otherSpecifications, hardwareIds, missing }
+ * no mesmo formato enviado pelo questionário. CPU e GPU vão como "Outro" com o modelo exato;
+ * o ID do catálogo só é preenchido quando a correspondência não é ambígua.
+ */
+function specsToAnswers(specs) {
+    const answers = {};
+    const otherSpecifications = {};
+    const hardwareIds = {};
+    const setOther = (field, text) => {
+        answers[field] = "other";
+        otherSpecifications[field] = text;
+    };
+
+    if (specs.os) {
+        const value = osAnswer(specs.os);
+        if (value) answers.os = value;
+        else setOther("os", specs.os);
+    }
+
+    // Perguntas condicionais do questionário: chip do Mac e VRAM da placa dedicada
+    if (answers.os === "macos" && specs.cpu) {
+        answers.macChip = /^Apple M\d/i.test(specs.cpu) ? "apple_silicon" : "intel";
+    }
+    if (specs.vramGb >= 1) {
+        answers.vram = Math.min(48, Math.round(specs.vramGb));
+    }
+
+    for (const field of ["cpu", "gpu"]) {
+        if (!specs[field]) continue;
+        setOther(field, specs[field]);
+        const { match, ambiguous } = matchHardware(field, specs[field]);
+        if (!ambiguous) hardwareIds[field] = match.id;
+    }
+
+    if (specs.ramGb) {
+        const value = ramAnswer(specs.ramGb);
+        if (value) answers.ram = value;
+        else setOther("ram", `${Math.round(specs.ramGb)} GB`);
+    }
+
+    if (specs.freeDiskGb !== undefined) {
+        if (specs.freeDiskGb < 50) answers.storage = "less_50gb";
+        else setOther("storage", `${Math.floor(specs.freeDiskGb)} GB`);
+    }
+
+    const missing = ["os", "cpu", "gpu", "ram", "storage"].filter(field => !(field in answers));
+    return { answers, otherSpecifications, hardwareIds, missing };
+}
+
+module.exports = { FORMATS, parseSpecReport, specsToAnswers, toGb };
@@ -0,0 +1,18 @@
+// Utilitários de texto compartilhados pelos módulos da API
+
+// Remove acentos, pontuação e espaços extras para comparar nomes
+function normalizeText(text) {
+    return String(text)
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+}
+
+// Estimativa simples de tokens (~4 caracteres por token)
+function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4);
+}
+
+module.exports = { normalizeText, estimateTokens };
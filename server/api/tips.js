@@ -0,0 +1,97 @@
+// Dicas da roleta (data/tips.json): sorteio ponderado pelo diagnóstico, sem repetir as dicas já exibidas.
+// O sorteio usa um gerador pseudoaleatório com semente; a mesma semente e as mesmas entradas repetem o resultado
+
+const crypto = require("crypto");
+const definition = require("./data/tips.json");
+const { resolveOs } = require("./compatibility");
+const { DEFAULT_LOCALE, tipTranslations } = require("./i18n");
+
+// Peso extra das dicas sobre um componente que é gargalo no diagnóstico
+const BOTTLENECK_BOOST = 4;
+
+// Catálogo com os textos no idioma pedido; dicas sem tradução mantêm o texto original
+const localized = new Map();
+
+function tipsFor(locale = DEFAULT_LOCALE) {
+    if (!localized.has(locale)) {
+        const translations = tipTranslations(locale);
+        localized.set(locale, {
+            version: definition.version,
+            updatedAt: definition.updatedAt,
+            locale,
+            tips: definition.tips.map(tip => ({ ...tip, text: translations[tip.id] ?? tip.text }))
+        });
+    }
+    return localized.get(locale);
+}
+
+// Semente textual -> inteiro de 32 bits (FNV-1a)
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Gerador mulberry32: números em [0, 1) determinados pela semente
+function createRandom(seed) {
+    let state = hashSeed(String(seed));
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Resume o diagnóstico para o sorteio: sistema operacional, componentes reprovados
+ * (em qualquer título) e vereditos. `evaluations` vêm de evaluateCompatibility, uma por título.
+ */
+function diagnosisContext(profile, evaluations) {
+    return {
+        os: resolveOs(profile.os),
+        bottlenecks: [...new Set(evaluations.flatMap(result =>
+            result.components.filter(item => item.status === "fail").map(item => item.component)))],
+        verdicts: [...new Set(evaluations.map(result => result.verdict))]
+    };
+}
+
+// Sem diagnóstico, todas as dicas valem o peso base
+function tipWeight(tip, context) {
+    if (!context) return tip.weight;
+    if (tip.os && !tip.os.includes(context.os)) return 0;
+    if (tip.verdicts && !tip.verdicts.some(verdict => context.verdicts.includes(verdict))) return 0;
+
+    const relevant = tip.components && tip.components.some(component => context.bottlenecks.includes(component));
+    return relevant ? tip.weight * BOTTLENECK_BOOST : tip.weight;
+}
+
+/**
+ * Sorteia uma dica que ainda não está em `exclude`.
+ * Sem `seed`, uma semente nova é gerada e devolvida para que o sorteio possa ser repetido.
+ * Retorna { tip, seed, remaining }; `tip` é null quando todas as dicas aplicáveis já saíram.
+ */
+function drawTip({ context = null, exclude = [], seed, locale = DEFAULT_LOCALE } = {}) {
+    const usedSeed = seed || crypto.randomBytes(8).toString("hex");
+    const candidates = tipsFor(locale).tips
+        .filter(tip => !exclude.includes(tip.id))
+        .map(tip => ({ tip, weight: tipWeight(tip, context) }))
+        .filter(({ weight }) => weight > 0);
+
+    if (!candidates.length) {
+        return { tip: null, seed: usedSeed, remaining: 0 };
+    }
+
+    // As dicas já exibidas entram na semente: a mesma sessão sorteia uma sequência reproduzível
+    const random = createRandom(`${usedSeed}:${exclude.join(",")}`);
+    let point = random() * candidates.reduce((sum, { weight }) => sum + weight, 0);
+    const picked = candidates.find(({ weight }) => (point -= weight) < 0) || candidates[candidates.length - 1];
+
+    return { tip: picked.tip, seed: usedSeed, remaining: candidates.length - 1 };
+}
+
+module.exports = { tipsFor, createRandom, diagnosisContext, drawTip };
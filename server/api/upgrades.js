@@ -0,0 +1,206 @@
+// Planejador de upgrades: combina peças do catálogo de preços (data/prices.json) e usa
+// o motor de regras para saber quais títulos passam a ser compatíveis com cada combinação
+
+const prices = require("./data/prices.json");
+const { findById } = require("./hardware");
+const { COMPONENTS, componentName, evaluateCompatibility, resolveOs, resolveHardware, resolveAmount } = require("./compatibility");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+
+const MAX_PATHS = 5;
+
+// Componentes que não podem ser trocados em cada plataforma, com o motivo exibido ao usuário
+function platformConstraints(profile, locale) {
+    const locked = new Set();
+    const constraints = [];
+
+    if (resolveOs(profile.os) === "macos") {
+        ["os", "cpu", "gpu", "ram"].forEach(component => locked.add(component));
+        constraints.push(t(locale, "upgrades.macConstraint"));
+    } else if (profile.details?.formFactor?.value === "laptop") {
+        ["cpu", "gpu"].forEach(component => locked.add(component));
+        constraints.push(t(locale, "upgrades.laptopConstraint"));
+    }
+    return { locked, constraints };
+}
+
+// Peças do catálogo que melhoram o componente atual, já no formato de resposta do perfil
+function componentOptions(component, profile, locale) {
+    switch (component) {
+        case "os": {
+            const current = resolveOs(profile.os);
+            return prices.os
+                .filter(item => item.value !== current)
+                .map(item => ({
+                    name: t(locale, "upgrades.osLicense", { product: item.product }),
+                    priceBrl: item.priceBrl,
+                    answer: { value: item.value, label: item.product }
+                }));
+        }
+        case "cpu":
+        case "gpu": {
+            const { tier } = resolveHardware(component, profile[component]);
+            return prices[component]
+                .map(item => ({ item, entry: findById(component, item.id) }))
+                .filter(({ entry }) => entry && !entry.integrated && (tier === null || entry.tier > tier))
+                .map(({ item, entry }) => ({
+                    name: entry.name,
+                    priceBrl: item.priceBrl,
+                    answer: { value: "other", label: entry.name, catalogId: entry.id }
+                }));
+        }
+        case "ram": {
+            const current = resolveAmount("ram", profile.ram);
+            return prices.ram
+                .filter(item => item.totalGb > (current?.max ?? 0))
+                .map(item => ({
+                    name: t(locale, "upgrades.ramKit", { modules: item.modules, total: item.totalGb }),
+                    priceBrl: item.priceBrl,
+                    answer: { value: "other", label: `${item.totalGb} GB` }
+                }));
+        }
+        case "storage": {
+            // O SSD novo soma ao espaço livre atual (zero quando não foi possível interpretá-lo)
+            const free = resolveAmount("storage", profile.storage)?.min ?? 0;
+            return prices.storage.map(item => ({
+                name: t(locale, "upgrades.ssd", { size: item.size }),
+                priceBrl: item.priceBrl,
+                answer: { value: "other", label: `${free + item.addGb} GB` }
+            }));
+        }
+        default:
+            return [];
+    }
+}
+
+function componentStatus(profile, software, component, answer) {
+    const result = evaluateCompatibility({ ...profile, software, [component]: answer });
+    return result.components.find(item => item.component === component).status;
+}
+
+// Descarta opções que nada resolvem ou que outra peça mais barata resolve igualmente
+function pruneOptions(options, baseline) {
+    const helps = option => option.statuses.some((status, index) => status === "pass" && baseline[index] !== "pass");
+    const covers = (a, b) => b.statuses.every((status, index) => status !== "pass" || a.statuses[index] === "pass");
+
+    return options.filter(helps).filter((option, index, all) => !all.some((other, otherIndex) =>
+        otherIndex !== index && covers(other, option) &&
+        (other.priceBrl < option.priceBrl || (other.priceBrl === option.priceBrl && otherIndex < index))
+    ));
+}
+
+function isSubset(a, b) {
+    return a.length < b.length && a.every(item => b.includes(item));
+}
+
+function describePath(combo, titles, compatible, fixed, locale) {
+    const items = combo.map(({ component, option }) => ({
+        component,
+        componentName: componentName(component, locale),
+        name: option.name,
+        priceBrl: option.priceBrl
+    }));
+    return {
+        label: items.map(item => item.componentName).join(" + "),
+        items,
+        totalBrl: items.reduce((sum, item) => sum + item.priceBrl, 0),
+        fixes: fixed.map(index => titles[index].name),
+        compatible: compatible.map(index => titles[index].name)
+    };
+}
+
+/**
+ * Monta os caminhos de upgrade para os títulos informados dentro do orçamento (em reais).
+ * Cada caminho traz as peças, o custo estimado e os títulos que passam a ser compatíveis;
+ * os caminhos são ordenados pelo número de títulos resolvidos e depois pelo custo.
+ * `fullFix` é o caminho mais barato que torna todos os títulos compatíveis, mesmo acima do orçamento.
+ */
+function planUpgrades(profile, softwareTitles, budgetBrl, locale = DEFAULT_LOCALE) {
+    const evaluated = softwareTitles.map(title => ({ title, result: evaluateCompatibility({ ...profile, software: title }) }));
+    const titles = evaluated.map(({ title, result }) => ({
+        title,
+        name: result.software.name,
+        found: result.found,
+        verdict: result.verdict
+    }));
+    const found = evaluated.filter(({ result }) => result.found);
+    const foundTitles = titles.filter(title => title.found);
+    const { locked, constraints } = platformConstraints(profile, locale);
+
+    // Status de cada componente, por título, com o hardware atual e com cada peça candidata
+    const baseline = Object.fromEntries(COMPONENTS.map(component => [
+        component,
+        found.map(({ result }) => result.components.find(item => item.component === component).status)
+    ]));
+    const options = COMPONENTS
+        .filter(component => !locked.has(component))
+        .map(component => ({
+            component,
+            choices: pruneOptions(componentOptions(component, profile, locale).map(option => ({
+                ...option,
+                statuses: found.map(({ title }) => componentStatus(profile, title, component, option.answer))
+            })), baseline[component])
+        }))
+        .filter(({ choices }) => choices.length);
+
+    const compatibleWith = combo => found.map((_, index) => index).filter(index =>
+        COMPONENTS.every(component => {
+            const chosen = combo.find(item => item.component === component);
+            return (chosen ? chosen.option.statuses[index] : baseline[component][index]) === "pass";
+        }));
+    const alreadyCompatible = compatibleWith([]);
+
+    // Melhor combinação dentro do orçamento para cada conjunto de componentes trocados
+    const bestByComponents = new Map();
+    let fullFix = null;
+
+    function explore(position, combo, cost) {
+        if (position === options.length) {
+            if (!combo.length) return;
+
+            const compatible = compatibleWith(combo);
+            const fixed = compatible.filter(index => !alreadyCompatible.includes(index));
+            if (!fixed.length) return;
+
+            if (compatible.length === found.length && (!fullFix || cost < fullFix.cost)) {
+                fullFix = { combo, cost, compatible, fixed };
+            }
+            if (cost > budgetBrl) return;
+
+            const key = combo.map(item => item.component).join("+");
+            const best = bestByComponents.get(key);
+            if (!best || fixed.length > best.fixed.length || (fixed.length === best.fixed.length && cost < best.cost)) {
+                bestByComponents.set(key, { combo, cost, compatible, fixed });
+            }
+            return;
+        }
+
+        const { component, choices } = options[position];
+        explore(position + 1, combo, cost);
+        for (const option of choices) {
+            explore(position + 1, [...combo, { component, option }], cost + option.priceBrl);
+        }
+    }
+    explore(0, [], 0);
+
+    // Um caminho que troca componentes desnecessários perde para o caminho menor que resolve o mesmo
+    const candidates = [...bestByComponents.values()];
+    const components = path => path.combo.map(item => item.component);
+    const paths = candidates
+        .filter(path => !candidates.some(other =>
+            isSubset(components(other), components(path)) && other.fixed.length >= path.fixed.length))
+        .sort((a, b) => b.fixed.length - a.fixed.length || a.cost - b.cost || a.combo.length - b.combo.length)
+        .slice(0, MAX_PATHS)
+        .map(path => describePath(path.combo, foundTitles, path.compatible, path.fixed, locale));
+
+    return {
+        currency: prices.currency,
+        budgetBrl,
+        priceCatalogVersion: prices.version,
+        titles,
+        constraints,
+        paths,
+        fullFix: fullFix && describePath(fullFix.combo, foundTitles, fullFix.compatible, fullFix.fixed, locale)
+    };
+}
+
+module.exports = { planUpgrades };
@@ -0,0 +1,1395 @@
+const path = require("path");
+const crypto = require("crypto");
+const { Readable, pipeline } = require("stream");
+const express = require("express");
+require("dotenv").config();
+const helmet = require("helmet");
+const rateLimit = require("express-rate-limit");
+const cors = require("cors");
+const morgan = require("morgan");
+const { parseProfile, formatProfileMessage } = require("./api/profile");
+const { matchHardware } = require("./api/hardware");
+const { evaluateCompatibility, formatCompatibilityTable, verdictLabel } = require("./api/compatibility");
+const { parseHistory, truncateHistory } = require("./api/history");
+const { parseAnalysis, applyCompatibility, formatAnalysisMarkdown } = require("./api/analysis");
+const { createAnalysisStore, isValidId } = require("./api/analyses");
+const { createApiKeyStore, validateLimits, secondsUntilReset } = require("./api/apikeys");
+const { parseSpecReport, specsToAnswers } = require("./api/specs");
+const { questionnaireFor } = require("./api/questions");
+const { parseTitles, mapWithConcurrency } = require("./api/batch");
+const { planUpgrades } = require("./api/upgrades");
+const { tipsFor, diagnosisContext, drawTip } = require("./api/tips");
+const { analysisCacheKey, createResponseCache } = require("./api/cache");
+const { createPromptRegistry } = require("./api/prompts");
+const { screenText, screenProfile } = require("./api/guardrails");
+const { negotiateLocale, t } = require("./api/i18n");
+const { providerConfigFromEnv, createProvider, instrumentProvider, tokensUsedFrom } = require("./api/providers");
+const { createLogger } = require("./api/logger");
+const { createMetrics } = require("./api/metrics");
+const { analysisEvent, createAnalyticsStore, summarizeAnalytics, eventsToCsv } = require("./api/analytics");
+const { ERROR_CODES, OPENAPI_DOCUMENT, validateRequest, profileToAnswers, publicProfile, publicAnalysis } = require("./api/openapi");
+const { schemaErrorMessage } = require("./api/schema");
+
+// Configuração inicial
+const app = express();
+const PORT = process.env.PORT || 3000;
+const API_REQUEST_LIMIT = process.env.API_LIMIT || 100; // Limite de requisições por hora (anônimas, por IP)
+const API_KEY_DEFAULT_LIMIT = parseInt(process.env.API_KEY_DEFAULT_LIMIT) || 1000; // Cota padrão por chave de API
+
+// Logs em JSON (LOG_LEVEL=debug|info|warn|error)
+const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+// Métricas expostas em /metrics
+const metrics = createMetrics();
+const httpDuration = metrics.histogram("hardia_http_request_duration_seconds",
+    "Duração das requisições HTTP por rota", ["method", "route", "status"]);
+const providerDuration = metrics.histogram("hardia_provider_request_duration_seconds",
+    "Duração das chamadas ao provedor de IA", ["provider", "model", "operation", "outcome"]);
+const providerTokens = metrics.counter("hardia_provider_tokens_total",
+    "Tokens consumidos no provedor de IA, por modelo", ["provider", "model", "type"]);
+const timeouts = metrics.counter("hardia_timeouts_total",
+    "Chamadas à IA interrompidas pelo timeout de 15s", ["route"]);
+const rateLimitRejections = metrics.counter("hardia_rate_limit_rejections_total",
+    "Requisições recusadas pela cota de requisições ou de tokens", ["route", "tier", "reason"]);
+const guardrailRefusals = metrics.counter("hardia_guardrail_refusals_total",
+    "Entradas recusadas pelas salvaguardas antes de chegar à IA", ["route", "reason"]);
+const cacheLookups = metrics.counter("hardia_analysis_cache_lookups_total",
+    "Consultas ao cache de análises", ["result"]);
+
+// Seleção do provedor de IA (LLM_PROVIDER=gemini|openai|fixture), com cada chamada medida,
+// e dos templates de prompt ativos (PROMPT_VERSIONS, ex.: "analysis=1|2" para um teste A/B)
+let provider;
+let prompts;
+try {
+    provider = instrumentProvider(createProvider(providerConfigFromEnv()), recordProviderCall);
+    prompts = createPromptRegistry(process.env.PROMPT_VERSIONS);
+} catch (error) {
+    logger.error("Configuração inválida", { error: error.message });
+    process.exit(1);
+}
+
+function recordProviderCall({ operation, durationMs, outcome, model, usage }) {
+    providerDuration.observe({ provider: provider.name, model, operation, outcome }, durationMs / 1000);
+    for (const [type, tokens] of [["prompt", usage?.promptTokens], ["completion", usage?.completionTokens]]) {
+        if (Number.isFinite(tokens)) providerTokens.inc({ provider: provider.name, model, type }, tokens);
+    }
+}
+
+// Modo em lote e planos de upgrade: títulos por requisição e quantos são analisados ao mesmo tempo
+const BATCH_MAX_TITLES = parseInt(process.env.BATCH_MAX_TITLES) || 5;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 2;
+const MAX_UPGRADE_BUDGET = 100000;
+const MAX_TIP_SEED_LENGTH = 64;
+
+// Análises salvas para os permalinks (ANALYSES_FILE, padrão data/analyses.jsonl), guardadas por
+// ANALYSES_RETENTION_DAYS dias (padrão 180), até ANALYSES_MAX_RECORDS análises (padrão 10000)
+const analyses = createAnalysisStore(process.env.ANALYSES_FILE || undefined, {
+    retentionDays: parseInt(process.env.ANALYSES_RETENTION_DAYS) || undefined,
+    maxRecords: parseInt(process.env.ANALYSES_MAX_RECORDS) || undefined
+});
+
+// Eventos anônimos de uso para o painel /admin (ANALYTICS_FILE, padrão data/analytics.jsonl),
+// guardados por ANALYTICS_RETENTION_DAYS dias (padrão 366)
+const analytics = createAnalyticsStore(process.env.ANALYTICS_FILE || undefined, {
+    retentionDays: parseInt(process.env.ANALYTICS_RETENTION_DAYS) || undefined
+});
+const MAX_ANALYTICS_DAYS = 365;
+
+// Chaves de API dos clientes (API_KEYS_FILE, padrão data/apikeys.json)
+const apiKeys = createApiKeyStore(process.env.API_KEYS_FILE || undefined, { logger });
+// Tokens reservados do orçamento da chave antes de chamar a IA: o custo máximo estimado de uma análise
+const API_KEY_TOKEN_RESERVATION = parseInt(process.env.API_KEY_TOKEN_RESERVATION) || 4000;
+
+// Cache das análises por perfil normalizado + título (CACHE_TTL=0 desativa; CACHE_DIR ativa a camada em disco)
+const responseCache = createResponseCache({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+    ttlMs: Number(process.env.CACHE_TTL ?? 24 * 60 * 60) * 1000,
+    directory: process.env.CACHE_DIR || null,
+    diskTtlMs: Number(process.env.CACHE_DISK_TTL ?? 7 * 24 * 60 * 60) * 1000,
+    logger
+});
+
+// ID da requisição: reaproveita um X-Request-Id válido (do cliente ou do proxy) ou gera um novo
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Middlewares
+app.use((req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set("X-Request-Id", req.id);
+
+    // Respostas de erro levam o ID, para correlacionar a reclamação do usuário com os logs
+    const json = res.json.bind(res);
+    res.json = body => json(body?.success === false && !body.requestId ? { ...body, requestId: req.id } : body);
+
+    // Latência pela rota declarada (não pela URL), para não multiplicar as séries
+    req.startedAt = performance.now();
+    res.on("finish", () => {
+        const route = req.route ? req.baseUrl + req.route.path : res.statusCode === 404 ? "not_found" : "static";
+        httpDuration.observe({ method: req.method, route, status: res.statusCode }, (performance.now() - req.startedAt) / 1000);
+    });
+    next();
+});
+// CSP sem 'unsafe-inline': scripts, estilos e fontes vêm só do próprio servidor (ver /vendor abaixo)
+app.use(helmet({
+    contentSecurityPolicy: {
+        useDefaults: true,
+        directives: {
+            defaultSrc: ["'self'"],
+            scriptSrc: ["'self'"],
+            styleSrc: ["'self'"],
+            imgSrc: ["'self'", "data:"],
+            fontSrc: ["'self'"],
+            connectSrc: ["'self'"],
+            formAction: ["'self'"],
+            baseUri: ["'self'"],
+            objectSrc: ["'none'"],
+            frameAncestors: ["'none'"],
+            // Em desenvolvimento o servidor roda em http puro, sem HTTPS para onde promover as requisições
+            upgradeInsecureRequests: process.env.NODE_ENV === "production" ? [] : null
+        }
+    }
+}));
+app.use(cors({
+    origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
+    methods: ['GET', 'POST'],
+    exposedHeaders: ['X-Request-Id']
+}));
+// Log de acesso em JSON, correlacionado pelo ID da requisição
+app.use(morgan((tokens, req, res) => req.log.format("info", "Requisição concluída", {
+    method: tokens.method(req, res),
+    url: tokens.url(req, res),
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens["response-time"](req, res)) || null,
+    bytes: Number(tokens.res(req, res, "content-length")) || 0
+})));
+// Idioma das mensagens e da análise: ?lang= ou Accept-Language (pt-BR, en, es)
+app.use((req, res, next) => {
+    req.locale = negotiateLocale(req.query.lang, req.get("Accept-Language"));
+    res.set("Content-Language", req.locale);
+    res.vary("Accept-Language");
+    next();
+});
+// Erros da API v1 levam também um `code` estável, derivado do status quando a rota não informa outro
+app.use("/api/v1", (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => json(body?.success === false && !body.code
+        ? { ...body, code: body.refusal ? "refused" : ERROR_CODES[res.statusCode] || ERROR_CODES[500] }
+        : body);
+    next();
+});
+// O histórico da conversa de acompanhamento excede o limite padrão do corpo
+app.use("/api/chat/followup", express.json({ limit: "100kb" }));
+// Relatórios do dxdiag e do lshw passam facilmente de 100 KB
+app.use("/api/specs/import", express.json({ limit: "1mb" }));
+app.use(express.json({ limit: "10kb" }));
+app.use(express.urlencoded({ extended: true, limit: "10kb" }));
+
+// Rate limiting: cada chave de API tem a própria cota; o tráfego anônimo divide API_LIMIT por IP
+const limiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hora
+    limit: (req) => req.client ? req.client.requestsPerHour : API_REQUEST_LIMIT,
+    keyGenerator: (req) => req.client ? `key:${req.client.id}` : req.ip,
+    message: (req) => ({
+        success: false,
+        error: t(req.locale, "rateLimit")
+    }),
+    standardHeaders: true,
+    legacyHeaders: false,
+    // Respostas servidas do cache não chamam a IA e não contam no limite
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.locals.cacheHit === true,
+    handler: (req, res, next, options) => {
+        const route = req.baseUrl + req.route.path;
+        rateLimitRejections.inc({ route, tier: req.client ? "key" : "anonymous", reason: "requests" });
+        req.log.warn("Limite de requisições excedido", { route });
+        res.status(options.statusCode).json(options.message(req, res));
+    }
+});
+
+function bearerToken(req) {
+    const header = req.get("Authorization") || "";
+    return header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+}
+
+// Reserva do orçamento para a requisição: uma análise por título no modo em lote
+function tokenReservation(req) {
+    const software = req.body?.answers?.software;
+    const titles = req.route.path === "/api/chat/batch" && Array.isArray(software)
+        ? Math.min(Math.max(software.length, 1), BATCH_MAX_TITLES)
+        : 1;
+    return API_KEY_TOKEN_RESERVATION * titles;
+}
+
+// Identifica o cliente pela chave de API (Authorization: Bearer ou X-API-Key). Sem chave, a requisição
+// segue no nível anônimo; chave inválida ou revogada recebe 401. Chaves com orçamento de tokens reservam
+// a parte da requisição antes de chamar a IA (429 quando o orçamento livre não cobre a reserva);
+// a reserva é trocada pelo custo real em chargeClient ou devolvida quando a resposta termina sem cobrança
+async function authenticateClient(req, res, next) {
+    try {
+        req.client = null;
+        const key = bearerToken(req) || req.get("X-API-Key");
+        if (!key) return next();
+
+        const client = await apiKeys.authenticate(key);
+        if (!client) {
+            res.set("WWW-Authenticate", 'Bearer realm="HardIA"');
+            return res.status(401).json({ success: false, error: t(req.locale, "auth.invalidKey") });
+        }
+        req.client = client;
+        req.log = req.log.child({ client: client.id });
+
+        if (client.monthlyTokens !== null) {
+            res.set({
+                "X-Token-Budget-Limit": client.monthlyTokens,
+                "X-Token-Budget-Remaining": client.remainingTokens,
+                "X-Token-Budget-Reset": secondsUntilReset()
+            });
+            const reservation = await apiKeys.reserve(client.id, tokenReservation(req));
+            if (reservation === null) {
+                const route = req.baseUrl + req.route.path;
+                rateLimitRejections.inc({ route, tier: "key", reason: "tokens" });
+                req.log.warn("Orçamento de tokens esgotado", { route });
+                res.set("Retry-After", secondsUntilReset());
+                return res.status(429).json({ success: false, error: t(req.locale, "auth.tokenBudgetExceeded") });
+            }
+            req.tokenReservation = reservation;
+            res.on("close", () => releaseReservation(req));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Autenticação e cota, nesta ordem, das rotas que usam a IA
+const apiAccess = [authenticateClient, limiter];
+
+// Registra na chave de API a requisição atendida e os tokens gastos no provedor (respostas do cache custam 0),
+// no lugar da reserva feita na autenticação
+function chargeClient(req, tokens) {
+    if (!req.client) return;
+    const reservation = req.tokenReservation || 0;
+    req.tokenReservation = 0;
+    apiKeys.charge(req.client.id, typeof tokens === "number" ? tokens : 0, reservation)
+        .catch(error => req.log.error("Falha ao registrar o uso da chave de API", { error }));
+}
+
+function releaseReservation(req) {
+    if (!req.tokenReservation) return;
+    apiKeys.release(req.client.id, req.tokenReservation);
+    req.tokenReservation = 0;
+}
+
+// Rotas estáticas: só o front-end em public/; o código do servidor fica fora da pasta servida
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+app.use(express.static(PUBLIC_DIR, { 
+    maxAge: "1d",
+    setHeaders: (res, path) => {
+        if (path.endsWith("widget.js")) {
+            // O widget é carregado por sites parceiros: outra origem e sem versão na URL
+            res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+            res.setHeader("Cache-Control", "public, max-age=3600");
+        } else if (path.endsWith(".css") || path.endsWith(".js")) {
+            res.setHeader("Cache-Control", "public, max-age=31536000");
+        }
+    }
+}));
+
+// Bibliotecas do front-end servidas de node_modules, no lugar das CDNs
+const VENDOR_DIR = path.join(__dirname, "..", "node_modules");
+const VENDOR_ASSETS = {
+    fontawesome: "@fortawesome/fontawesome-free",
+    inter: "@fontsource/inter",
+    marked: "marked/lib",
+    dompurify: "dompurify/dist"
+};
+for (const [name, dir] of Object.entries(VENDOR_ASSETS)) {
+    app.use(`/vendor/${name}`, express.static(path.join(VENDOR_DIR, dir), { maxAge: "7d" }));
+}
+
+// Pede a análise ao provedor, validando o JSON e pedindo correção quando vier malformado.
+// `firstResult` reaproveita uma resposta já obtida (ex.: via streaming) como primeira tentativa
+async function generateAnalysis({ systemInstruction, message, history, context, signal, firstResult, log = logger }) {
+    const maxAttempts = 1 + (parseInt(process.env.ANALYSIS_MAX_RETRIES) || 1);
+    const attemptHistory = [...history];
+    let attemptMessage = message;
+    let tokensUsed = 0;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const result = attempt === 1 && firstResult ? firstResult : await provider.generate({
+            systemInstruction,
+            message: attemptMessage,
+            history: attemptHistory,
+            maxOutputTokens: parseInt(process.env.MAX_TOKENS) || 1000,
+            json: true,
+            context,
+            signal
+        });
+
+        const usage = tokensUsedFrom(result.usage);
+        if (usage !== "N/A") tokensUsed += usage;
+
+        const { analysis, errors } = parseAnalysis(result.text, context?.locale);
+        if (analysis) {
+            return { analysis, model: result.model, tokensUsed: tokensUsed || "N/A", attempts: attempt };
+        }
+
+        log.warn("Análise malformada", { attempt, maxAttempts, errors: errors.slice(0, 5) });
+        attemptHistory.push(
+            { role: "user", content: attemptMessage },
+            { role: "model", content: result.text }
+        );
+        // Pedido de correção no idioma da conversa, como o restante do que o modelo recebe
+        attemptMessage = t(context?.locale, "analysis.schemaRetry", { errors: errors.slice(0, 5).join("; ") });
+    }
+
+    throw new Error("Resposta inválida da API: análise fora do esquema");
+}
+
+// Definição do questionário (perguntas, tipos, condições de exibição), versionada em data/questions.json
+app.get("/api/questions", (req, res) => {
+    res.set("Cache-Control", "no-cache");
+    res.json({
+        success: true,
+        data: questionnaireFor(req.locale)
+    });
+});
+
+// Verificação determinística de compatibilidade (sem IA)
+app.post("/api/compatibility", (req, res) => {
+    const { answers, otherSpecifications, hardwareIds } = req.body;
+    const { profile, error } = parseProfile(answers, otherSpecifications, hardwareIds, req.locale);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    res.json({
+        success: true,
+        data: evaluateCompatibility(profile, req.locale)
+    });
+});
+
+// Planos de upgrade dentro de um orçamento em reais para um ou mais títulos (sem IA).
+// Corpo: { answers (software como texto ou lista), otherSpecifications, hardwareIds, budget }
+app.post("/api/upgrade-plan", (req, res) => {
+    const { answers, otherSpecifications, hardwareIds } = req.body;
+    const { titles, error: titlesError } = parseTitles(answers?.software, BATCH_MAX_TITLES, req.locale);
+    if (titlesError) {
+        return res.status(400).json({ success: false, error: titlesError });
+    }
+
+    const budget = typeof req.body.budget === "string" ? Number(req.body.budget) : req.body.budget;
+    if (typeof budget !== "number" || !Number.isFinite(budget) || budget <= 0 || budget > MAX_UPGRADE_BUDGET) {
+        return res.status(400).json({
+            success: false,
+            error: t(req.locale, "upgrades.invalidBudget", { max: MAX_UPGRADE_BUDGET.toLocaleString(req.locale) })
+        });
+    }
+
+    const { profile, error } = parseProfile({ ...answers, software: titles[0] }, otherSpecifications, hardwareIds, req.locale);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    res.json({
+        success: true,
+        data: planUpgrades(profile, titles, budget, req.locale)
+    });
+});
+
+// Catálogo de dicas da roleta, com as marcações de componente, sistema e veredito
+app.get("/api/tips", (req, res) => {
+    res.json({
+        success: true,
+        data: tipsFor(req.locale)
+    });
+});
+
+// Sorteia uma dica para o diagnóstico (sem IA). O diagnóstico é recalculado pelo motor de regras.
+// Corpo: { answers?, otherSpecifications, hardwareIds, exclude: [ids já exibidos], seed? }
+app.post("/api/tips/draw", (req, res) => {
+    const { answers, otherSpecifications, hardwareIds, exclude = [], seed } = req.body;
+    if (!Array.isArray(exclude) || exclude.length > 100 || !exclude.every(id => typeof id === "string")) {
+        return res.status(400).json({ success: false, error: t(req.locale, "tips.invalidExclude") });
+    }
+    if (seed !== undefined && (typeof seed !== "string" || !seed || seed.length > MAX_TIP_SEED_LENGTH)) {
+        return res.status(400).json({ success: false, error: t(req.locale, "tips.invalidSeed", { max: MAX_TIP_SEED_LENGTH }) });
+    }
+
+    // Sem respostas, o sorteio usa apenas os pesos base
+    let context = null;
+    if (answers !== undefined) {
+        const { titles, error: titlesError } = parseTitles(answers?.software, BATCH_MAX_TITLES, req.locale);
+        if (titlesError) {
+            return res.status(400).json({ success: false, error: titlesError });
+        }
+        const { profile, error } = parseProfile({ ...answers, software: titles[0] }, otherSpecifications, hardwareIds, req.locale);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        context = diagnosisContext(profile, titles.map(title => evaluateCompatibility({ ...profile, software: title })));
+    }
+
+    const { tip, seed: usedSeed, remaining } = drawTip({ context, exclude, seed, locale: req.locale });
+    res.json({
+        success: true,
+        data: {
+            tip: tip && { id: tip.id, text: tip.text, image: tip.image },
+            seed: usedSeed,
+            remaining
+        }
+    });
+});
+
+// Correspondência de CPU/GPU digitada livremente com o catálogo de hardware
+app.post("/api/hardware/match", (req, res) => {
+    const { kind, text } = req.body;
+    if (!["cpu", "gpu"].includes(kind) || typeof text !== "string" || !text.trim() || text.length > 200) {
+        return res.status(400).json({
+            success: false,
+            error: t(req.locale, "hardware.invalidMatch")
+        });
+    }
+
+    res.json({
+        success: true,
+        data: matchHardware(kind, text)
+    });
+});
+
+// Lê um relatório de hardware colado ou enviado e devolve as respostas pré-preenchidas
+app.post("/api/specs/import", (req, res) => {
+    const result = parseSpecReport(req.body.report, req.locale);
+    if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            format: result.format,
+            formatName: result.formatName,
+            specs: result.specs,
+            ...specsToAnswers(result.specs)
+        }
+    });
+});
+
+// Limite de tokens do histórico de conversa enviado ao modelo
+const CHAT_HISTORY_MAX_TOKENS = parseInt(process.env.CHAT_HISTORY_MAX_TOKENS) || 2000;
+
+// Texto do perfil de hardware e resultado do motor de regras para as respostas do questionário
+function describeProfile({ answers, otherSpecifications, hardwareIds }, locale) {
+    const { profile, error } = parseProfile(answers, otherSpecifications, hardwareIds, locale);
+    if (error) {
+        return { error };
+    }
+
+    let message = formatProfileMessage(profile, locale);
+    const compatibility = evaluateCompatibility(profile, locale);
+    if (compatibility.found) {
+        message += `\n\n${t(locale, "compatibility.header", { version: compatibility.catalogVersion })}\n` +
+            `${t(locale, "compatibility.verdict", { verdict: verdictLabel(compatibility.verdict, locale) })}\n` +
+            formatCompatibilityTable(compatibility, locale);
+    }
+    return { message, compatibility, profile };
+}
+
+// Motivo de recusa da primeira mensagem do usuário no histórico que não passa pelas salvaguardas, ou null
+function screenHistory(history) {
+    for (const msg of history) {
+        const reason = msg.role === "user" && screenText(msg.content);
+        if (reason) return reason;
+    }
+    return null;
+}
+
+// Valida o corpo da requisição de chat e monta a mensagem e as instruções do modelo pelo template "analysis".
+// Retorna { error } (400, com `refusal` quando as salvaguardas recusam a entrada) ou os dados
+// necessários para gerar a análise, no idioma `locale`
+function prepareChat(body, locale) {
+    const { answers } = body;
+    let { message } = body;
+    let compatibility = null;
+    let profile = null;
+
+    const { history, error: historyError } = parseHistory(body.chatHistory, locale);
+    if (historyError) {
+        return { error: historyError };
+    }
+
+    // Respostas do questionário têm prioridade sobre mensagens livres
+    let refusal;
+    if (answers !== undefined) {
+        const described = describeProfile(body, locale);
+        if (described.error) {
+            return { error: described.error };
+        }
+        ({ message, compatibility, profile } = described);
+        refusal = screenProfile(profile);
+    } else if (typeof message === "string") {
+        refusal = screenText(message, { topic: true });
+    }
+    refusal = refusal || screenHistory(history);
+    if (refusal) {
+        return { error: t(locale, `guardrails.${refusal}`), refusal };
+    }
+    const verdictComputed = compatibility !== null && compatibility.verdict !== "unknown";
+
+    // Validação robusta
+    if (!message || typeof message !== "string" || message.trim().length < 5) {
+        return { error: t(locale, "chat.invalidMessage") };
+    }
+
+    // Só a primeira análise de um perfil é reaproveitável; conversas em andamento não vão ao cache.
+    // A chave também separa as versões do template, para que um teste A/B não misture respostas
+    const scope = { locale, provider: provider.name, model: provider.model, catalog: compatibility?.catalogVersion };
+    const cacheable = profile !== null && !history.length;
+    const prompt = prompts.render("analysis", { locale, verdictComputed, profile: message }, {
+        seed: cacheable ? analysisCacheKey(profile, scope) : message
+    });
+
+    return {
+        message: prompt.message,
+        systemInstruction: prompt.systemInstruction,
+        prompt: prompt.id,
+        history: truncateHistory(history, CHAT_HISTORY_MAX_TOKENS).history,
+        compatibility,
+        profile,
+        verdictComputed,
+        context: { locale, verdict: verdictComputed ? compatibility.verdict : null },
+        cacheKey: cacheable ? analysisCacheKey(profile, { ...scope, prompt: prompt.id }) : null,
+        locale
+    };
+}
+
+// Resposta 400 para um pedido de chat inválido ou recusado pelas salvaguardas
+function rejectChat(req, res, chat) {
+    if (chat.refusal) {
+        const route = req.baseUrl + req.route.path;
+        guardrailRefusals.inc({ route, reason: chat.refusal });
+        req.log.warn("Entrada recusada pelas salvaguardas", { route, reason: chat.refusal });
+    }
+    return res.status(400).json({ success: false, error: chat.error, ...(chat.refusal && { refusal: chat.refusal }) });
+}
+
+// Registra a análise entregue, com a versão do template usada, e o evento anônimo de uso
+// (só análises de um perfil do questionário; mensagens livres não têm título nem hardware)
+function logAnalysis(req, chat, result) {
+    req.log.info("Análise concluída", {
+        prompt: chat.prompt,
+        model: result.model,
+        tokensUsed: result.tokensUsed,
+        cached: Boolean(result.cached)
+    });
+    if (!chat.profile) return;
+
+    analytics.record(analysisEvent({
+        profile: chat.profile,
+        compatibility: chat.compatibility,
+        analysis: chat.verdictComputed ? { ...result.analysis, verdict: chat.compatibility.verdict } : result.analysis,
+        source: req.baseUrl + req.route.path,
+        provider: provider.name,
+        model: result.model,
+        prompt: chat.prompt,
+        tokensUsed: result.tokensUsed,
+        latencyMs: performance.now() - req.startedAt,
+        cached: result.cached,
+        locale: chat.locale
+    })).catch(error => req.log.error("Falha ao registrar o evento de uso", { error }));
+}
+
+// Análise guardada no cache para o perfil da conversa, marcada como `cached` (sem custo de tokens)
+async function cachedAnalysis(chat) {
+    if (!chat.cacheKey) return null;
+    const cached = await responseCache.get(chat.cacheKey);
+    cacheLookups.inc({ result: cached ? "hit" : "miss" });
+    return cached ? { ...cached, tokensUsed: 0, cached: true } : null;
+}
+
+function storeAnalysis(chat, result) {
+    if (!chat.cacheKey) return;
+    return responseCache.set(chat.cacheKey, result, {
+        tokens: typeof result.tokensUsed === "number" ? result.tokensUsed : 0
+    });
+}
+
+// Dados da resposta de sucesso, comuns às rotas com e sem streaming
+function buildChatData(chat, result) {
+    // O veredito e a tabela vêm do motor de regras, nunca do modelo
+    const analysis = chat.verdictComputed
+        ? applyCompatibility(result.analysis, chat.compatibility)
+        : result.analysis;
+
+    return {
+        analysis,
+        response: formatAnalysisMarkdown(analysis, chat.compatibility?.software.name, chat.locale),
+        compatibility: chat.compatibility,
+        timestamp: new Date().toISOString(),
+        provider: provider.name,
+        model: result.model,
+        prompt: chat.prompt,
+        tokensUsed: result.tokensUsed,
+        cached: Boolean(result.cached)
+    };
+}
+
+// Salva para o permalink a análise que o próprio servidor gerou e entregou (nunca texto enviado pelo cliente)
+function saveAnalysisRecord(chat, data) {
+    return analyses.create({
+        profile: chat.profile,
+        software: chat.compatibility.found ? chat.compatibility.software.name : chat.profile.software,
+        compatibility: chat.compatibility,
+        analysis: data.analysis,
+        model: data.model,
+        prompt: chat.prompt
+    });
+}
+
+// Acrescenta `id` e `permalink` aos dados da resposta. Só análises de um perfil do questionário são salvas;
+// uma falha ao salvar não impede a entrega da análise, que apenas fica sem link
+async function withPermalink(req, chat, data) {
+    if (!chat.profile) return data;
+    try {
+        const record = await saveAnalysisRecord(chat, data);
+        return { ...data, id: record.id, permalink: `/analise/${record.id}` };
+    } catch (error) {
+        req.log.error("Falha ao salvar a análise", { error });
+        return data;
+    }
+}
+
+// Classifica erros do provedor em status HTTP e tipo de erro
+function classifyChatError(error, locale) {
+    if (error.message.includes("Timeout")) {
+        return { status: 504, type: "timeout", error: t(locale, "chat.timeout") };
+    }
+    const status = error.message.includes("invalid") ? 400
+                 : error.message.includes("Resposta inválida") ? 502
+                 : 500;
+    return {
+        status,
+        type: status === 502 ? "invalid_response" : "provider_error",
+        error: t(locale, "chat.providerError")
+    };
+}
+
+// Registra a falha de uma rota de IA (log e métrica de timeout) e a classifica para a resposta
+function reportChatError(req, error, extra = {}) {
+    const classified = classifyChatError(error, req.locale);
+    const route = req.baseUrl + req.route.path;
+    if (classified.type === "timeout") timeouts.inc({ route });
+    req.log.error("Falha na chamada à IA", { route, errorType: classified.type, ...extra, error });
+    return classified;
+}
+
+// Rota de chat com IA
+app.post("/api/chat", apiAccess, async (req, res) => {
+    try {
+        const chat = prepareChat(req.body, req.locale);
+        if (chat.error) {
+            return rejectChat(req, res, chat);
+        }
+
+        let result = await cachedAnalysis(chat);
+        if (result) {
+            res.locals.cacheHit = true;
+        } else {
+            // Envio da mensagem com timeout
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
+
+            result = await Promise.race([
+                generateAnalysis({
+                    systemInstruction: chat.systemInstruction,
+                    message: chat.message,
+                    history: chat.history,
+                    context: chat.context,
+                    signal: controller.signal,
+                    log: req.log
+                }),
+                new Promise((_, reject) => 
+                    setTimeout(() => reject(new Error("Timeout na resposta da API")), 15000)
+                )
+            ]);
+            
+            clearTimeout(timeout);
+            await storeAnalysis(chat, result);
+        }
+        chargeClient(req, result.tokensUsed);
+        logAnalysis(req, chat, result);
+
+        res.json({ 
+            success: true,
+            data: await withPermalink(req, chat, buildChatData(chat, result))
+        });
+        
+    } catch (error) {
+        const { status, error: message } = reportChatError(req, error);
+        res.status(status).json({ 
+            success: false,
+            error: message,
+            details: process.env.NODE_ENV === "development" ? error.message : undefined
+        });
+    }
+});
+
+// Variante com streaming via Server-Sent Events. Eventos:
+//   meta   -> veredito do motor de regras, antes da resposta do modelo
+//   token  -> trecho de texto do modelo, à medida que chega
+//   result -> análise validada (mesmo formato de `data` em /api/chat)
+//   error  -> { type: "timeout" | "provider_error" | "invalid_response", error }
+app.post("/api/chat/stream", apiAccess, async (req, res) => {
+    const chat = prepareChat(req.body, req.locale);
+    if (chat.error) {
+        return rejectChat(req, res, chat);
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Cancelamento pelo cliente ou timeout abortam a requisição ao provedor
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, 15000); // 15s timeout
+    res.on("close", () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    sendEvent("meta", { compatibility: chat.compatibility });
+
+    try {
+        // No cache, a análise completa segue logo após o `meta`, sem tokens
+        const cached = await cachedAnalysis(chat);
+        if (cached) {
+            res.locals.cacheHit = true;
+            chargeClient(req, 0);
+            logAnalysis(req, chat, cached);
+            sendEvent("result", await withPermalink(req, chat, buildChatData(chat, cached)));
+            return;
+        }
+
+        const options = {
+            systemInstruction: chat.systemInstruction,
+            message: chat.message,
+            history: chat.history,
+            maxOutputTokens: parseInt(process.env.MAX_TOKENS) || 1000,
+            json: true,
+            context: chat.context,
+            signal: controller.signal
+        };
+
+        let text = "";
+        let final = {};
+        for await (const part of provider.stream(options)) {
+            if (controller.signal.aborted) break;
+            if (part.type === "token") {
+                text += part.text;
+                sendEvent("token", { text: part.text });
+            } else if (part.type === "usage") {
+                final = part;
+            }
+        }
+        if (controller.signal.aborted) {
+            throw new Error(timedOut ? "Timeout na resposta da API" : "Requisição cancelada");
+        }
+
+        const result = await generateAnalysis({
+            ...options,
+            firstResult: { text, model: final.model || provider.model, usage: final.usage },
+            log: req.log
+        });
+        await storeAnalysis(chat, result);
+        chargeClient(req, result.tokensUsed);
+        logAnalysis(req, chat, result);
+        sendEvent("result", await withPermalink(req, chat, buildChatData(chat, result)));
+    } catch (error) {
+        if (timedOut) error = new Error("Timeout na resposta da API");
+
+        if (!res.writableEnded && !res.destroyed) {
+            const { type, error: message } = reportChatError(req, error);
+            sendEvent("error", {
+                type,
+                error: message,
+                details: process.env.NODE_ENV === "development" ? error.message : undefined
+            });
+        }
+    } finally {
+        clearTimeout(timeout);
+        res.end();
+    }
+});
+
+// Vários títulos para o mesmo hardware (answers.software como lista). Cada título
+// é uma análise independente; a falha de um deles fica registrada no próprio item
+app.post("/api/chat/batch", apiAccess, async (req, res) => {
+    try {
+        const { answers } = req.body;
+        const { titles, error } = parseTitles(answers?.software, BATCH_MAX_TITLES, req.locale);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        // O perfil é validado antes de qualquer chamada à IA
+        const chats = titles.map(title =>
+            prepareChat({ ...req.body, answers: { ...answers, software: title }, chatHistory: undefined }, req.locale));
+        const invalid = chats.find(chat => chat.error);
+        if (invalid) {
+            return rejectChat(req, res, invalid);
+        }
+
+        // Cliente desconectado: as análises pendentes são canceladas
+        const controller = new AbortController();
+        res.on("close", () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        const results = await mapWithConcurrency(chats, BATCH_CONCURRENCY, async (chat, index) => {
+            try {
+                const cached = await cachedAnalysis(chat);
+                if (cached) {
+                    logAnalysis(req, chat, cached);
+                    return { title: titles[index], ...buildChatData(chat, cached) };
+                }
+
+                const result = await Promise.race([
+                    generateAnalysis({
+                        systemInstruction: chat.systemInstruction,
+                        message: chat.message,
+                        history: chat.history,
+                        context: chat.context,
+                        signal: AbortSignal.any([controller.signal, AbortSignal.timeout(15000)]),
+                        log: req.log
+                    }),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error("Timeout na resposta da API")), 15000)
+                    )
+                ]);
+                await storeAnalysis(chat, result);
+                logAnalysis(req, chat, result);
+                return { title: titles[index], ...buildChatData(chat, result) };
+            } catch (error) {
+                const { status, type, error: message } = reportChatError(req, error, { title: titles[index] });
+                return { title: titles[index], status, errorType: type, error: message };
+            }
+        });
+
+        chargeClient(req, results.reduce((sum, item) => sum + (typeof item.tokensUsed === "number" ? item.tokensUsed : 0), 0));
+        if (controller.signal.aborted) return;
+        // Lote inteiro servido do cache não conta no limite de requisições
+        res.locals.cacheHit = results.every(item => item.cached);
+
+        // Se nenhum título foi analisado, a resposta assume o erro do primeiro
+        if (results.every(item => item.error)) {
+            return res.status(results[0].status).json({ success: false, error: results[0].error });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                results: results.map(({ status, ...item }) => item),
+                timestamp: new Date().toISOString(),
+                provider: provider.name
+            }
+        });
+    } catch (error) {
+        const { status, error: message } = reportChatError(req, error);
+        res.status(status).json({
+            success: false,
+            error: message,
+            details: process.env.NODE_ENV === "development" ? error.message : undefined
+        });
+    }
+});
+
+// Perguntas de acompanhamento sobre uma análise já exibida ("e em 1440p?").
+// O perfil de hardware vai nas instruções; as mensagens anteriores, no histórico
+app.post("/api/chat/followup", apiAccess, async (req, res) => {
+    try {
+        const { message } = req.body;
+        if (!message || typeof message !== "string" || message.trim().length < 2 || message.length > 1000) {
+            return res.status(400).json({
+                success: false,
+                error: t(req.locale, "followup.invalidQuestion")
+            });
+        }
+
+        const described = describeProfile(req.body, req.locale);
+        if (described.error) {
+            return res.status(400).json({ success: false, error: described.error });
+        }
+        const { history: clientHistory, error: historyError } = parseHistory(req.body.chatHistory, req.locale);
+        if (historyError) {
+            return res.status(400).json({ success: false, error: historyError });
+        }
+
+        // Injeção ou assunto alheio ao hardware: recusa educada, sem chamar a IA
+        const refusal = screenText(message, { topic: true }) || screenProfile(described.profile) || screenHistory(clientHistory);
+        if (refusal) {
+            const route = req.baseUrl + req.route.path;
+            guardrailRefusals.inc({ route, reason: refusal });
+            req.log.warn("Entrada recusada pelas salvaguardas", { route, reason: refusal });
+            return res.json({
+                success: true,
+                data: {
+                    reply: t(req.locale, `guardrails.${refusal}`),
+                    refused: true,
+                    refusal,
+                    timestamp: new Date().toISOString(),
+                    provider: provider.name,
+                    tokensUsed: 0
+                }
+            });
+        }
+
+        const prompt = prompts.render("followup", { locale: req.locale, profile: described.message, question: message }, {
+            seed: described.message
+        });
+
+        // O perfil abre a conversa como mensagem do usuário, montada pelo template (uma abertura enviada
+        // pelo cliente é substituída). A primeira troca (perfil e análise original) é preservada;
+        // o meio da conversa é descartado se necessário
+        const fullHistory = [
+            { role: "user", content: prompt.context },
+            ...(clientHistory[0]?.role === "user" ? clientHistory.slice(1) : clientHistory)
+        ];
+        const { history, truncated } = truncateHistory(fullHistory, CHAT_HISTORY_MAX_TOKENS, 2);
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
+
+        const result = await Promise.race([
+            provider.generate({
+                systemInstruction: prompt.systemInstruction,
+                message: prompt.message,
+                history,
+                maxOutputTokens: parseInt(process.env.MAX_TOKENS) || 1000,
+                context: { locale: req.locale },
+                signal: controller.signal
+            }),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error("Timeout na resposta da API")), 15000)
+            )
+        ]);
+
+        clearTimeout(timeout);
+
+        chargeClient(req, tokensUsedFrom(result.usage));
+        if (!result?.text) {
+            throw new Error("Resposta inválida da API");
+        }
+        req.log.info("Resposta de acompanhamento concluída", {
+            prompt: prompt.id,
+            model: result.model,
+            tokensUsed: tokensUsedFrom(result.usage)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                reply: result.text,
+                historyTruncated: truncated,
+                timestamp: new Date().toISOString(),
+                provider: provider.name,
+                model: result.model,
+                prompt: prompt.id,
+                tokensUsed: tokensUsedFrom(result.usage)
+            }
+        });
+    } catch (error) {
+        const { status, error: message } = reportChatError(req, error);
+        res.status(status).json({
+            success: false,
+            error: message,
+            details: process.env.NODE_ENV === "development" ? error.message : undefined
+        });
+    }
+});
+
+// Resumo das análises cujos IDs o cliente já conhece (?ids=a,b,c)
+app.get("/api/analyses", async (req, res, next) => {
+    try {
+        const ids = typeof req.query.ids === "string" ? req.query.ids.split(",").filter(isValidId) : [];
+        res.json({
+            success: true,
+            data: await analyses.list(ids.slice(0, 50))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get("/api/analyses/:id", async (req, res, next) => {
+    try {
+        const record = await analyses.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, error: t(req.locale, "analyses.notFound") });
+        }
+        res.json({ success: true, data: record });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// API pública versionada, descrita em /api/v1/openapi.json. Corpo e parâmetros são validados
+// contra o documento antes da rota; o perfil tipado é convertido nas respostas do questionário
+const v1 = express.Router();
+
+function validateV1(operationId) {
+    return (req, res, next) => {
+        const invalid = validateRequest(operationId, req);
+        if (!invalid) return next();
+        res.status(invalid.status).json({
+            success: false,
+            error: t(req.locale, invalid.status === 415 ? "v1.unsupportedMediaType" : "v1.invalidRequest"),
+            code: invalid.code,
+            details: invalid.details.map(detail => ({ ...detail, message: schemaErrorMessage(detail, req.locale) }))
+        });
+    };
+}
+
+// Perfil da requisição já validada pelo esquema; respostas fora das opções recebem 422
+function parseV1Profile(req, res) {
+    const { answers, otherSpecifications, hardwareIds } = profileToAnswers(req.body);
+    const { profile, error } = parseProfile(answers, otherSpecifications, hardwareIds, req.locale);
+    if (error) {
+        res.status(422).json({ success: false, error });
+        return null;
+    }
+    return profile;
+}
+
+v1.get("/openapi.json", (req, res) => {
+    res.set("Cache-Control", "no-cache");
+    res.json(OPENAPI_DOCUMENT);
+});
+
+v1.post("/profiles", validateV1("normalizeProfile"), (req, res) => {
+    const profile = parseV1Profile(req, res);
+    if (!profile) return;
+    res.json({ success: true, data: publicProfile(profile) });
+});
+
+// Veredito do motor de regras, sem IA e sem cota (usado pelo widget)
+v1.post("/compatibility", validateV1("checkCompatibility"), (req, res) => {
+    const profile = parseV1Profile(req, res);
+    if (!profile) return;
+    res.json({
+        success: true,
+        data: {
+            profile: publicProfile(profile),
+            compatibility: evaluateCompatibility(profile, req.locale)
+        }
+    });
+});
+
+// Gera a análise com IA (ou a reaproveita do cache) e a salva com permalink
+v1.post("/analyses", apiAccess, validateV1("createAnalysis"), async (req, res) => {
+    try {
+        const profile = parseV1Profile(req, res);
+        if (!profile) return;
+        const chat = prepareChat(profileToAnswers(req.body), req.locale);
+        if (chat.error) {
+            return rejectChat(req, res, chat);
+        }
+
+        let result = await cachedAnalysis(chat);
+        if (result) {
+            res.locals.cacheHit = true;
+        } else {
+            result = await Promise.race([
+                generateAnalysis({
+                    systemInstruction: chat.systemInstruction,
+                    message: chat.message,
+                    history: chat.history,
+                    context: chat.context,
+                    signal: AbortSignal.timeout(15000),
+                    log: req.log
+                }),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error("Timeout na resposta da API")), 15000)
+                )
+            ]);
+            await storeAnalysis(chat, result);
+        }
+        chargeClient(req, result.tokensUsed);
+        logAnalysis(req, chat, result);
+
+        const { cached, tokensUsed, ...data } = buildChatData(chat, result);
+        const record = await saveAnalysisRecord(chat, data);
+
+        res.status(201).json({
+            success: true,
+            data: { ...publicAnalysis(record), cached, tokensUsed }
+        });
+    } catch (error) {
+        const { status, type, error: message } = reportChatError(req, error);
+        res.status(status).json({
+            success: false,
+            error: message,
+            code: type,
+            details: process.env.NODE_ENV === "development" ? [error.message] : undefined
+        });
+    }
+});
+
+v1.get("/analyses/:id", validateV1("getAnalysis"), async (req, res, next) => {
+    try {
+        const record = await analyses.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, error: t(req.locale, "analyses.notFound") });
+        }
+        res.json({ success: true, data: publicAnalysis(record) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+v1.use((req, res) => {
+    res.status(404).json({ success: false, error: t(req.locale, "v1.notFound") });
+});
+
+app.use("/api/v1", v1);
+
+// JSON malformado ou grande demais chega aqui pelo express.json, antes do roteador
+app.use("/api/v1", (err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+        return res.status(400).json({ success: false, error: t(req.locale, "v1.invalidJson"), code: "invalid_json" });
+    }
+    if (err.type === "entity.too.large") {
+        return res.status(413).json({ success: false, error: t(req.locale, "v1.payloadTooLarge") });
+    }
+    next(err);
+});
+
+// Rotas autorizadas por um token do ambiente, enviado como Bearer (sem o token, ficam desativadas).
+// `area` dá o realm e as mensagens (<area>.disabled, <area>.unauthorized)
+function requireToken(area, tokenFromEnv) {
+    return (req, res, next) => {
+        const token = tokenFromEnv();
+        if (!token) {
+            return res.status(404).json({ success: false, error: t(req.locale, `${area}.disabled`) });
+        }
+        const digest = value => crypto.createHash("sha256").update(value).digest();
+        if (!crypto.timingSafeEqual(digest(bearerToken(req)), digest(token))) {
+            res.set("WWW-Authenticate", `Bearer realm="HardIA ${area}"`);
+            return res.status(401).json({ success: false, error: t(req.locale, `${area}.unauthorized`) });
+        }
+        next();
+    };
+}
+
+// Administração das chaves de API e painel de uso, autorizados pelo ADMIN_TOKEN
+const requireAdmin = requireToken("admin", () => process.env.ADMIN_TOKEN);
+
+// Métricas, autorizadas pelo METRICS_TOKEN (para o coletor do Prometheus) ou, sem ele, pelo ADMIN_TOKEN
+const requireMetricsToken = requireToken("metrics", () => process.env.METRICS_TOKEN || process.env.ADMIN_TOKEN);
+
+// Valida nome e limites de uma chave criada (todos os campos) ou alterada (só os enviados)
+function validateKeyInput(body, locale, partial) {
+    const { name } = body;
+    if (!(partial && name === undefined) && (typeof name !== "string" || !name.trim() || name.length > 100)) {
+        return t(locale, "admin.invalidName");
+    }
+    const field = validateLimits(body, partial);
+    return field ? t(locale, "admin.invalidLimit", { field }) : null;
+}
+
+app.get("/api/admin/keys", requireAdmin, async (req, res, next) => {
+    try {
+        res.json({ success: true, data: await apiKeys.list() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Corpo: { name, requestsPerHour?, monthlyTokens? }. A chave só é exibida nesta resposta
+app.post("/api/admin/keys", requireAdmin, async (req, res, next) => {
+    try {
+        const { requestsPerHour = API_KEY_DEFAULT_LIMIT, monthlyTokens = null } = req.body;
+        const error = validateKeyInput({ ...req.body, requestsPerHour, monthlyTokens }, req.locale, false);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const { key, record } = await apiKeys.create({ name: req.body.name.trim(), requestsPerHour, monthlyTokens });
+        req.log.info("Chave de API criada", { keyId: record.id });
+        res.status(201).json({ success: true, data: { key, ...record } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Altera nome, cota por hora ou orçamento de tokens (monthlyTokens: null remove o orçamento)
+app.patch("/api/admin/keys/:id", requireAdmin, async (req, res, next) => {
+    try {
+        const error = validateKeyInput(req.body, req.locale, true);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const { name, requestsPerHour, monthlyTokens } = req.body;
+        const record = await apiKeys.update(req.params.id, { name: name?.trim(), requestsPerHour, monthlyTokens });
+        if (!record) {
+            return res.status(404).json({ success: false, error: t(req.locale, "admin.keyNotFound") });
+        }
+        res.json({ success: true, data: record });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete("/api/admin/keys/:id", requireAdmin, async (req, res, next) => {
+    try {
+        const record = await apiKeys.revoke(req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, error: t(req.locale, "admin.keyNotFound") });
+        }
+        req.log.info("Chave de API revogada", { keyId: record.id });
+        res.json({ success: true, data: record });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Período do painel de uso (?days=, padrão 30) ou null se inválido
+function analyticsDays(query) {
+    if (query.days === undefined) return 30;
+    const days = Number(query.days);
+    return Number.isInteger(days) && days >= 1 && days <= MAX_ANALYTICS_DAYS ? days : null;
+}
+
+// Eventos dos últimos `days` dias, contando o dia de hoje (UTC)
+function analyticsSince(days) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+    since.setUTCHours(0, 0, 0, 0);
+    return analytics.list(since);
+}
+
+// Agregados do painel: títulos mais pedidos, componentes reprovados, vereditos por nível, modelos e tendência
+app.get("/api/admin/analytics", requireAdmin, async (req, res, next) => {
+    try {
+        const days = analyticsDays(req.query);
+        if (!days) {
+            return res.status(400).json({ success: false, error: t(req.locale, "admin.invalidDays", { max: MAX_ANALYTICS_DAYS }) });
+        }
+        res.json({ success: true, data: await summarizeAnalytics(analyticsSince(days), { days }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Eventos do período em CSV, um por linha, enviados à medida que o arquivo é lido
+app.get("/api/admin/analytics.csv", requireAdmin, (req, res) => {
+    const days = analyticsDays(req.query);
+    if (!days) {
+        return res.status(400).json({ success: false, error: t(req.locale, "admin.invalidDays", { max: MAX_ANALYTICS_DAYS }) });
+    }
+    res.attachment(`hardia-analytics-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type("text/csv; charset=utf-8");
+    // Depois do cabeçalho já enviado, uma falha só pode interromper a resposta
+    pipeline(Readable.from(eventsToCsv(analyticsSince(days))), res, error => {
+        if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") req.log.error("Falha ao exportar os eventos de uso", { error });
+    });
+});
+
+// Painel de uso; a página pede o ADMIN_TOKEN e só os dados são protegidos
+app.get("/admin", (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, "admin.html"));
+});
+
+// Página somente leitura de uma análise salva
+app.get("/analise/:id", (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, "analysis.html"));
+});
+
+// Rotas adicionais
+app.get("/api/health", (req, res) => {
+    res.json({
+        status: "OK",
+        timestamp: new Date().toISOString(),
+        version: "1.1.0",
+        environment: process.env.NODE_ENV || "development",
+        provider: provider.name,
+        model: provider.model,
+        limits: {
+            requestsPerHour: API_REQUEST_LIMIT,
+            maxTokens: process.env.MAX_TOKENS || 1000
+        },
+        prompts: prompts.active(),
+        cache: responseCache.stats()
+    });
+});
+
+// Métricas no formato de texto do Prometheus
+app.get("/metrics", requireMetricsToken, (req, res) => {
+    res.type("text/plain; version=0.0.4; charset=utf-8").send(metrics.render());
+});
+
+// Tratamento de erros global
+app.use((err, req, res, next) => {
+    req.log.error("Erro não tratado", { error: err });
+    
+    res.status(500).json({ 
+        success: false,
+        error: t(req.locale, "server.internalError"),
+        requestId: req.id,
+        ...(process.env.NODE_ENV === "development" && { stack: err.stack })
+    });
+});
+
+// Descarta os eventos de uso e as análises salvas fora da janela de retenção, na inicialização e uma vez por dia
+function pruneStores() {
+    for (const [store, name] of [[analytics, "eventos de uso"], [analyses, "análises salvas"]]) {
+        store.prune()
+            .then(removed => {
+                if (removed) logger.info("Dados antigos descartados", { store: name, removed });
+            })
+            .catch(error => logger.error("Falha ao descartar dados antigos", { store: name, error }));
+    }
+}
+pruneStores();
+setInterval(pruneStores, 24 * 60 * 60 * 1000).unref();
+
+// Inicialização do servidor
+const server = app.listen(PORT, () => {
+    logger.info("Servidor HardIA iniciado", {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || "development",
+        provider: provider.name,
+        model: provider.model
+    });
+});
+
+// Tratamento de encerramento gracioso
+process.on("SIGTERM", () => {
+    logger.info("Encerrando servidor", { signal: "SIGTERM" });
+    server.close(() => {
+        // Uso das chaves de API ainda não gravado
+        apiKeys.flush().finally(() => {
+            logger.info("Servidor encerrado");
+            process.exit(0);
+        });
+    });
+});
+
+process.on("SIGINT", () => {
+    logger.info("Encerrando servidor", { signal: "SIGINT" });
+    server.close(() => {
+        // Uso das chaves de API ainda não gravado
+        apiKeys.flush().finally(() => {
+            logger.info("Servidor encerrado");
+            process.exit(0);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Tailwind gerado localmente (npm run build:css) em vez do CDN, para que a página funcione sob a CSP do servidor.
+// As classes usadas pelos scripts também precisam ser encontradas aqui
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+    content: ["./public/*.html", "./public/scripts/*.js"],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
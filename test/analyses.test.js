@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createAnalysisStore } = require("../server/api/analyses");
+
+async function tempFile() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "hardia-analyses-"));
+    return path.join(dir, "analyses.jsonl");
+}
+
+function analysis(software) {
+    return {
+        profile: { software },
+        software,
+        compatibility: { verdict: "compatible" },
+        analysis: { verdict: "compatible", score: 8, summary: "ok" },
+        model: "fixture-v1"
+    };
+}
+
+async function readLines(file) {
+    return (await fs.readFile(file, "utf8")).split("\n").filter(Boolean);
+}
+
+test("cada análise é acrescentada ao arquivo em uma linha de JSON compacto", async () => {
+    const file = await tempFile();
+    const store = createAnalysisStore(file);
+    const first = await store.create(analysis("Jogo A"));
+    const second = await store.create(analysis("Jogo B"));
+
+    const lines = await readLines(file);
+    assert.deepEqual(lines.map(line => JSON.parse(line).id), [first.id, second.id]);
+    assert.equal(lines[0], JSON.stringify(first));
+
+    // Uma nova instância (reinício do servidor) lê o mesmo arquivo
+    const reopened = createAnalysisStore(file);
+    assert.deepEqual(await reopened.get(second.id), second);
+    assert.deepEqual((await reopened.list([first.id, "A".repeat(22)])).map(item => item.software), ["Jogo A"]);
+});
+
+test("acima do limite, as mais antigas saem da memória e, na compactação, do arquivo", async () => {
+    const file = await tempFile();
+    const store = createAnalysisStore(file, { maxRecords: 2 });
+    const records = [];
+    for (const software of ["A", "B", "C", "D", "E"]) records.push(await store.create(analysis(software)));
+
+    assert.equal(await store.get(records[0].id), null);
+    assert.equal(await store.get(records[2].id), null);
+    assert.deepEqual((await store.get(records[4].id)).software, "E");
+    assert.ok((await readLines(file)).length <= 4);
+
+    const reopened = createAnalysisStore(file, { maxRecords: 2 });
+    assert.deepEqual((await reopened.list(records.map(record => record.id))).map(item => item.software), ["D", "E"]);
+});
+
+test("prune descarta as análises fora da retenção e compacta o arquivo", async () => {
+    const file = await tempFile();
+    const store = createAnalysisStore(file, { retentionDays: 30 });
+    const record = await store.create(analysis("Jogo"));
+
+    assert.equal(await store.prune(new Date()), 0);
+    assert.equal(await store.prune(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000)), 1);
+    assert.equal(await store.get(record.id), null);
+    assert.deepEqual(await readLines(file), []);
+});
+
+test("o arquivo do formato anterior é importado e convertido", async () => {
+    const file = await tempFile();
+    const legacy = { id: "A".repeat(22), ...analysis("Antigo"), prompt: null, createdAt: new Date().toISOString() };
+    await fs.writeFile(file.replace(/\.jsonl$/, ".json"), JSON.stringify({ analyses: [legacy] }, null, 2));
+
+    const store = createAnalysisStore(file);
+    assert.deepEqual(await store.get(legacy.id), legacy);
+    assert.deepEqual(await readLines(file), [JSON.stringify(legacy)]);
+});
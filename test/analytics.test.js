@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createAnalyticsStore, summarizeAnalytics, eventsToCsv } = require("../server/api/analytics");
+
+async function tempFile() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "hardia-analytics-"));
+    return path.join(dir, "analytics.jsonl");
+}
+
+function event(at, fields = {}) {
+    return {
+        at, source: "/api/chat", software: "Jogo", softwareId: "jogo", verdict: "compatible", failed: [], bottlenecks: [],
+        os: "windows11", ram: "16gb", cpuTier: 3, gpuTier: 4, provider: "fixture", model: "m1", prompt: "analysis@1",
+        tokens: 100, latencyMs: 400, cached: false, locale: "pt-BR", ...fields
+    };
+}
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+test("list lê do arquivo os eventos a partir da data, inclusive os recém-gravados", async () => {
+    const file = await tempFile();
+    const store = createAnalyticsStore(file);
+    assert.deepEqual(await collect(store.list(new Date(0))), []);
+
+    await store.record(event("2026-10-01T10:00:00.000Z"));
+    await fs.appendFile(file, "{\"at\": \"2026-10-\n");
+    store.record(event("2026-10-10T08:00:00.000Z"));
+
+    const events = await collect(store.list(new Date("2026-10-05T00:00:00Z")));
+    assert.deepEqual(events.map(item => item.at), ["2026-10-10T08:00:00.000Z"]);
+
+    // Uma nova instância (reinício do servidor) enxerga o mesmo arquivo
+    assert.equal((await collect(createAnalyticsStore(file).list(new Date(0)))).length, 2);
+});
+
+test("prune descarta os eventos fora da janela de retenção", async () => {
+    const file = await tempFile();
+    const store = createAnalyticsStore(file, { retentionDays: 30 });
+    for (const at of ["2026-08-01T00:00:00.000Z", "2026-09-25T00:00:00.000Z", "2026-10-18T00:00:00.000Z"]) {
+        await store.record(event(at));
+    }
+
+    assert.equal(await store.prune(new Date("2026-10-19T12:00:00Z")), 1);
+    assert.equal(await store.prune(new Date("2026-10-19T12:00:00Z")), 0);
+    assert.deepEqual((await collect(store.list(new Date(0)))).map(item => item.at),
+        ["2026-09-25T00:00:00.000Z", "2026-10-18T00:00:00.000Z"]);
+    assert.equal(await createAnalyticsStore(await tempFile()).prune(), 0);
+});
+
+test("summarizeAnalytics agrega um iterável em uma passada, com um ponto por dia", async () => {
+    const file = await tempFile();
+    const store = createAnalyticsStore(file);
+    await store.record(event("2026-10-17T10:00:00.000Z", { verdict: "incompatible", failed: ["gpu"], bottlenecks: ["gpu"], gpuTier: 2 }));
+    await store.record(event("2026-10-19T09:00:00.000Z", { cached: true, tokens: null, latencyMs: null }));
+    await store.record(event("2026-10-19T11:00:00.000Z", { software: "Outro", softwareId: null, verdict: "unknown", model: "m2" }));
+
+    const summary = await summarizeAnalytics(store.list(new Date(0)), { days: 3, now: new Date("2026-10-19T12:00:00Z") });
+    assert.deepEqual(summary.totals, {
+        analyses: 3, software: 2, cached: 1, cacheRate: 1 / 3, tokens: 200, compatible: 1, incompatible: 1, unknown: 1
+    });
+    assert.deepEqual(summary.trend, [
+        { date: "2026-10-17", analyses: 1, compatible: 0, incompatible: 1, unknown: 0 },
+        { date: "2026-10-18", analyses: 0, compatible: 0, incompatible: 0, unknown: 0 },
+        { date: "2026-10-19", analyses: 2, compatible: 1, incompatible: 0, unknown: 1 }
+    ]);
+    assert.deepEqual(summary.topSoftware[0], { software: "Jogo", inCatalog: true, count: 2, compatible: 1, incompatible: 1, unknown: 0 });
+    assert.deepEqual(summary.failedComponents, [{ component: "gpu", count: 1, rate: 0.5 }]);
+    assert.deepEqual(summary.verdictsByTier.gpu.map(item => [item.tier, item.total]), [[2, 1], [4, 1]]);
+    assert.deepEqual(summary.models, [
+        { provider: "fixture", model: "m1", analyses: 2, generated: 1, avgTokens: 100, avgLatencyMs: 400 },
+        { provider: "fixture", model: "m2", analyses: 1, generated: 1, avgTokens: 100, avgLatencyMs: 400 }
+    ]);
+});
+
+test("o CSV é gerado linha a linha e neutraliza fórmulas", async () => {
+    const lines = await collect(eventsToCsv([event("2026-10-19T09:00:00.000Z", { software: "=HYPERLINK(\"x\")", failed: ["cpu", "ram"] })]));
+    assert.equal(lines.length, 2);
+    assert.ok(lines[0].startsWith("at,source,software,"));
+    assert.ok(lines[1].includes("\"'=HYPERLINK(\"\"x\"\")\",jogo,compatible,cpu;ram,"));
+    assert.ok(lines.every(line => line.endsWith("\r\n")));
+});
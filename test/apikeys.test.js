@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createApiKeyStore } = require("../server/api/apikeys");
+
+async function tempStore(options) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "hardia-keys-"));
+    const file = path.join(dir, "apikeys.json");
+    return { file, store: createApiKeyStore(file, { flushDelayMs: 20, ...options }) };
+}
+
+async function readUsage(file) {
+    return JSON.parse(await fs.readFile(file, "utf8")).keys[0].usage;
+}
+
+test("reservas simultâneas não passam do orçamento livre", async () => {
+    const { store } = await tempStore();
+    const { record } = await store.create({ name: "Parceiro", requestsPerHour: 100, monthlyTokens: 10000 });
+
+    assert.equal(await store.reserve(record.id, 4000), 4000);
+    assert.equal(await store.reserve(record.id, 4000), 4000);
+    assert.equal(await store.reserve(record.id, 4000), null);
+
+    // A cobrança troca a reserva pelo custo real e libera o restante
+    await store.charge(record.id, 1500, 4000);
+    assert.equal(await store.reserve(record.id, 4000), 4000);
+    assert.equal((await store.get(record.id)).remainingTokens, 8500);
+});
+
+test("reservas devolvidas voltam ao orçamento livre", async () => {
+    const { store } = await tempStore();
+    const { record } = await store.create({ name: "Parceiro", requestsPerHour: 100, monthlyTokens: 5000 });
+
+    const reservation = await store.reserve(record.id, 4000);
+    assert.equal(await store.reserve(record.id, 4000), null);
+    store.release(record.id, reservation);
+    assert.equal(await store.reserve(record.id, 4000), 4000);
+});
+
+test("a reserva se limita ao orçamento inteiro e chaves sem orçamento não reservam", async () => {
+    const { store } = await tempStore();
+    const small = (await store.create({ name: "Pequena", requestsPerHour: 100, monthlyTokens: 1000 })).record;
+    const unlimited = (await store.create({ name: "Livre", requestsPerHour: 100 })).record;
+
+    assert.equal(await store.reserve(small.id, 4000), 1000);
+    assert.equal(await store.reserve(small.id, 4000), null);
+    assert.equal(await store.reserve(unlimited.id, 4000), 0);
+    assert.equal(await store.reserve("0000000000000000", 4000), null);
+});
+
+test("as cobranças são gravadas juntas, depois do intervalo ou no flush", async () => {
+    const { file, store } = await tempStore({ flushDelayMs: 60000 });
+    const { record } = await store.create({ name: "Parceiro", requestsPerHour: 100, monthlyTokens: 10000 });
+
+    await store.charge(record.id, 100);
+    await store.charge(record.id, 200);
+    assert.equal((await readUsage(file)).requests, 0);
+
+    await store.flush();
+    const usage = await readUsage(file);
+    assert.equal(usage.requests, 2);
+    assert.equal(usage.tokens, 300);
+
+    // Sem cobranças pendentes, flush não regrava nada
+    await store.flush();
+});
+
+test("o intervalo de gravação agrupa as cobranças sem flush manual", async () => {
+    const { file, store } = await tempStore();
+    const { record } = await store.create({ name: "Parceiro", requestsPerHour: 100, monthlyTokens: 10000 });
+
+    await Promise.all([store.charge(record.id, 10), store.charge(record.id, 20), store.charge(record.id, 30)]);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    await store.flush();
+
+    assert.deepEqual(await readUsage(file), { period: new Date().toISOString().slice(0, 7), requests: 3, tokens: 60 });
+});
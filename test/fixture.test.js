@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixtureProvider, FIXTURES } = require("../server/api/providers/fixture");
+const { parseAnalysis } = require("../server/api/analysis");
+const { LOCALES } = require("../server/api/i18n");
+
+const VERDICTS = ["compatible", "incompatible"];
+const provider = createFixtureProvider({ streamDelayMs: 0 });
+
+test("tem uma resposta por veredito em cada idioma suportado", () => {
+    for (const locale of LOCALES) {
+        assert.deepEqual(FIXTURES[locale].map(item => item.verdict).sort(), VERDICTS);
+    }
+});
+
+for (const locale of LOCALES) {
+    for (const verdict of VERDICTS) {
+        test(`segue o veredito "${verdict}" do motor de regras em ${locale}`, async () => {
+            const result = await provider.generate({ message: "Perfil de hardware", json: true, context: { locale, verdict } });
+            const { analysis, errors } = parseAnalysis(result.text);
+
+            assert.equal(errors, undefined);
+            assert.equal(analysis.verdict, verdict);
+            assert.equal(analysis.summary, FIXTURES[locale].find(item => item.verdict === verdict).summary);
+            assert.equal(result.model, "fixture-v1");
+            assert.equal(result.usage.totalTokens, result.usage.promptTokens + result.usage.completionTokens);
+        });
+    }
+}
+
+test("o veredito não depende do texto do prompt", async () => {
+    // Um prompt que cita o veredito oposto não muda a resposta
+    const result = await provider.generate({
+        message: "Veredito: ✅ Compatível",
+        json: true,
+        context: { locale: "en", verdict: "incompatible" }
+    });
+    assert.equal(JSON.parse(result.text).verdict, "incompatible");
+});
+
+test("as respostas dos idiomas são diferentes entre si", async () => {
+    const summaries = await Promise.all(LOCALES.map(async locale => {
+        const result = await provider.generate({ message: "Perfil", json: true, context: { locale, verdict: "compatible" } });
+        return JSON.parse(result.text).summary;
+    }));
+    assert.equal(new Set(summaries).size, LOCALES.length);
+});
+
+test("sem veredito, a mesma mensagem sempre recebe a mesma resposta", async () => {
+    const first = await provider.generate({ message: "Roda Elden Ring?", json: true, context: { locale: "es" } });
+    const second = await provider.generate({ message: "Roda Elden Ring?", json: true, context: { locale: "es" } });
+    assert.equal(first.text, second.text);
+    assert.ok(FIXTURES.es.some(item => item.summary === JSON.parse(first.text).summary));
+});
+
+test("idioma ausente ou desconhecido usa pt-BR", async () => {
+    for (const context of [undefined, { locale: "fr", verdict: "compatible" }]) {
+        const result = await provider.generate({ message: "Perfil", json: true, context });
+        assert.ok(FIXTURES["pt-BR"].some(item => item.summary === JSON.parse(result.text).summary));
+    }
+});
+
+test("sem json, responde em texto com o resumo e as sugestões no idioma", async () => {
+    const result = await provider.generate({ message: "E a RAM?", context: { locale: "en", verdict: "incompatible" } });
+    const fixture = FIXTURES.en.find(item => item.verdict === "incompatible");
+    assert.equal(result.text, [fixture.summary, "", ...fixture.upgrades.map(item => `- ${item.suggestion}`)].join("\n"));
+});
+
+test("o streaming entrega o mesmo texto de generate, seguido do uso de tokens", async () => {
+    const options = { message: "Perfil", json: true, context: { locale: "es", verdict: "incompatible" } };
+    const expected = await provider.generate(options);
+
+    let text = "";
+    let usage = null;
+    for await (const part of provider.stream(options)) {
+        if (part.type === "token") text += part.text;
+        else usage = part;
+    }
+    assert.equal(text, expected.text);
+    assert.deepEqual(usage, { type: "usage", model: expected.model, usage: expected.usage });
+});
+
+test("recusa pedidos já cancelados", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(provider.generate({ message: "Perfil", signal: controller.signal }), /cancelada/);
+});
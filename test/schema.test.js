@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateSchema, schemaErrorMessage } = require("../server/api/schema");
+const { validateAnalysis, parseAnalysis } = require("../server/api/analysis");
+const { LOCALES, t } = require("../server/api/i18n");
+
+const SCHEMA = {
+    type: "object",
+    required: ["name", "tags"],
+    additionalProperties: false,
+    properties: {
+        name: { type: "string", minLength: 1, maxLength: 5 },
+        kind: { type: "string", enum: ["cpu", "gpu"] },
+        score: { type: "integer", minimum: 1, maximum: 10 },
+        tags: { type: "array", maxItems: 2, uniqueItems: true, items: { type: "string" } }
+    }
+};
+
+test("os problemas vêm como código e parâmetros, sem texto", () => {
+    const errors = validateSchema(SCHEMA, { name: "longo demais", kind: "ram", score: 11, tags: ["a", "a", "b"], extra: 1 });
+    assert.deepEqual(errors, [
+        { path: "$.name", code: "maxLength", params: { limit: 5 } },
+        { path: "$.kind", code: "enum", params: { value: "ram", allowed: ["cpu", "gpu"] } },
+        { path: "$.score", code: "maximum", params: { limit: 10 } },
+        { path: "$.tags", code: "maxItems", params: { limit: 2 } },
+        { path: "$.tags", code: "uniqueItems", params: {} },
+        { path: "$.extra", code: "additionalProperties", params: {} }
+    ]);
+    assert.deepEqual(validateSchema(SCHEMA, { name: "ok", tags: [] }), []);
+});
+
+test("as mensagens seguem o idioma pedido, com pt-BR como padrão", () => {
+    const [error] = validateSchema(SCHEMA, { tags: [] });
+    assert.deepEqual(error, { path: "$.name", code: "required", params: {} });
+
+    assert.equal(schemaErrorMessage(error), t("pt-BR", "schema.required"));
+    assert.equal(schemaErrorMessage(error, "en"), "required field");
+    for (const locale of LOCALES) {
+        assert.notEqual(schemaErrorMessage(error, locale), "schema.required", locale);
+    }
+
+    const [type] = validateSchema(SCHEMA, { name: 42, tags: [] });
+    assert.equal(schemaErrorMessage(type, "es"), "se esperaba string, se recibió integer");
+    const [option] = validateSchema(SCHEMA, { name: "a", kind: "ram", tags: [] });
+    assert.equal(schemaErrorMessage(option, "en"), "value \"ram\" not in cpu, gpu");
+});
+
+test("a validação da análise continua devolvendo texto para o log e o pedido de correção", () => {
+    const errors = validateAnalysis({ summary: "", score: 11 });
+    assert.ok(errors.includes(`$.score: ${t("pt-BR", "schema.maximum", { limit: 10 })}`));
+    assert.ok(errors.every(error => typeof error === "string"));
+});
+
+test("a análise fora do esquema é descrita no idioma da conversa", () => {
+    const { errors } = parseAnalysis("sem JSON", "en");
+    assert.deepEqual(errors, [`$: ${t("en", "analysis.noJson")}`]);
+
+    const { errors: schemaErrors } = parseAnalysis(JSON.stringify({ verdict: "talvez", summary: "ok", score: 8 }), "es");
+    assert.deepEqual(schemaErrors, [`$.verdict: ${t("es", "schema.enum", { value: "talvez", allowed: "compatible, incompatible, unknown" })}`]);
+    assert.match(t("es", "analysis.schemaRetry", { errors: schemaErrors.join("; ") }), /^Tu respuesta anterior .*\$\.verdict: valor "talvez" fuera de/);
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { parseSpecReport, specsToAnswers } = require("../server/api/specs");
+const { t } = require("../server/api/i18n");
+
+function report(name) {
+    return fs.readFileSync(path.join(__dirname, "fixtures", "specs", name), "utf8");
+}
+
+test("dxdiag: Windows 11 pela build, GPU dedicada e o disco com mais espaço livre", () => {
+    const { format, specs } = parseSpecReport(report("dxdiag.txt"));
+    assert.equal(format, "dxdiag");
+    assert.deepEqual(specs, {
+        os: "Windows 11 Home 64-bit",
+        cpu: "Intel Core i5-10400F",
+        ramGb: 16,
+        gpu: "NVIDIA GeForce RTX 3060",
+        vramGb: 11.8,
+        freeDiskGb: 731
+    });
+
+    const { answers, otherSpecifications, hardwareIds, missing } = specsToAnswers(specs);
+    assert.equal(answers.ram, "16gb");
+    assert.equal(answers.vram, 12);
+    assert.equal(otherSpecifications.storage, "731 GB");
+    assert.equal(hardwareIds.gpu, "nvidia-rtx-3060");
+    assert.deepEqual(missing, []);
+});
+
+test("lshw -json: componentes aninhados em barramentos e pontes", () => {
+    const { format, specs } = parseSpecReport(report("lshw.json"));
+    assert.equal(format, "lshw");
+    assert.deepEqual(specs, {
+        os: "Linux",
+        cpu: "AMD Ryzen 5 3600",
+        ramGb: 8,
+        gpu: "NVIDIA GeForce GTX 1660 SUPER"
+    });
+
+    const { answers, hardwareIds, missing } = specsToAnswers(specs);
+    assert.equal(answers.os, "linux");
+    assert.equal(hardwareIds.gpu, "nvidia-gtx-1660-super");
+    assert.deepEqual(missing, ["storage"]);
+});
+
+test("lshw -json: relatório muito aninhado dentro do limite de tamanho", () => {
+    const depth = 10000;
+    const text = '{"class":"bus","children":['.repeat(depth) +
+        '{"id":"cpu","class":"processor","product":"Intel(R) Core(TM) i5-8400 CPU @ 2.80GHz"}' +
+        "]}".repeat(depth);
+    assert.ok(text.length < 500000);
+
+    assert.deepEqual(parseSpecReport(text), {
+        format: "lshw",
+        formatName: "lshw -json",
+        specs: { os: "Linux", cpu: "Intel Core i5-8400" }
+    });
+});
+
+test("inxi: distribuição, GPU do dispositivo PCI e espaço livre abaixo de 50 GB", () => {
+    const { format, specs } = parseSpecReport(report("inxi.txt"));
+    assert.equal(format, "inxi");
+    assert.deepEqual(specs, {
+        os: "Ubuntu 23.10",
+        cpu: "Intel Core i5-12400F",
+        gpu: "NVIDIA GeForce RTX 3060",
+        ramGb: 31.3,
+        freeDiskGb: 29.2
+    });
+
+    const { answers, otherSpecifications } = specsToAnswers(specs);
+    assert.equal(answers.ram, "32gb");
+    assert.equal(answers.storage, "less_50gb");
+    assert.equal(otherSpecifications.storage, undefined);
+});
+
+test("system_profiler: chip Apple Silicon", () => {
+    const { format, specs } = parseSpecReport(report("system_profiler.txt"));
+    assert.equal(format, "system_profiler");
+    assert.deepEqual(specs, { os: "macOS 14.1", cpu: "Apple M2", ramGb: 8, gpu: "Apple M2" });
+
+    const { answers } = specsToAnswers(specs);
+    assert.equal(answers.os, "macos");
+    assert.equal(answers.macChip, "apple_silicon");
+    assert.equal(answers.ram, "8gb");
+});
+
+test("CPU-Z: relatório com CRLF e a GPU dedicada antes da integrada", () => {
+    const { format, specs } = parseSpecReport(report("cpuz.txt"));
+    assert.equal(format, "cpuz");
+    assert.deepEqual(specs, {
+        os: "Windows 10",
+        cpu: "Intel Core i7-7700",
+        ramGb: 15,
+        gpu: "NVIDIA GeForce GTX 1070",
+        vramGb: 8
+    });
+    assert.equal(specsToAnswers(specs).answers.os, "windows10");
+});
+
+test("RAM a até 10% de uma opção do questionário é arredondada para ela", () => {
+    const cases = [
+        [15, "16gb"], [14.4, "16gb"], [17.6, "16gb"], [7.3, "8gb"], [28.8, "32gb"], [4.4, "4gb"]
+    ];
+    for (const [ramGb, bucket] of cases) {
+        assert.equal(specsToAnswers({ ramGb }).answers.ram, bucket, `${ramGb} GB`);
+    }
+
+    // Fora da tolerância, vai como "Outro" com o valor arredondado
+    for (const [ramGb, text] of [[14.3, "14 GB"], [17.7, "18 GB"], [12, "12 GB"], [64, "64 GB"], [2, "2 GB"]]) {
+        const { answers, otherSpecifications } = specsToAnswers({ ramGb });
+        assert.equal(answers.ram, "other", `${ramGb} GB`);
+        assert.equal(otherSpecifications.ram, text);
+    }
+});
+
+test("espaço livre abaixo de 50 GB usa a opção do questionário; a partir de 50 GB vai como Outro", () => {
+    assert.equal(specsToAnswers({ freeDiskGb: 0 }).answers.storage, "less_50gb");
+    assert.equal(specsToAnswers({ freeDiskGb: 49.9 }).answers.storage, "less_50gb");
+
+    const { answers, otherSpecifications } = specsToAnswers({ freeDiskGb: 50.7 });
+    assert.equal(answers.storage, "other");
+    assert.equal(otherSpecifications.storage, "50 GB");
+});
+
+test("relatórios vazios, grandes demais, ilegíveis ou sem hardware", () => {
+    assert.deepEqual(parseSpecReport("   "), { error: t("pt-BR", "specs.empty") });
+    assert.deepEqual(parseSpecReport(42), { error: t("pt-BR", "specs.empty") });
+    assert.deepEqual(parseSpecReport(`Card name: ${"x".repeat(500000)}`), { error: t("pt-BR", "specs.tooLarge") });
+    assert.deepEqual(parseSpecReport("relatório qualquer"), { error: t("pt-BR", "specs.unknownFormat") });
+    assert.deepEqual(parseSpecReport('{"class": "processor", "product": '), {
+        error: t("pt-BR", "specs.unreadable", { format: "lshw -json" })
+    });
+    assert.deepEqual(parseSpecReport('{"class": "system"}'), {
+        error: t("pt-BR", "specs.noHardware", { format: "lshw -json" })
+    });
+});
+
+test("as mensagens de erro seguem o idioma", () => {
+    assert.deepEqual(parseSpecReport("", "en"), { error: t("en", "specs.empty") });
+    assert.notEqual(t("en", "specs.empty"), t("pt-BR", "specs.empty"));
+});
@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const COMMITTED = path.join(ROOT, "public", "style", "tailwind.css");
+
+test("public/style/tailwind.css está atualizado com as páginas e scripts (npm run build:css)", () => {
+    const output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hardia-css-")), "tailwind.css");
+    // Mesmos argumentos do script build:css, com saída em um arquivo temporário
+    execFileSync(process.execPath, [require.resolve("tailwindcss/lib/cli.js"),
+        "-c", "tailwind.config.js", "-o", output, "--minify"], { cwd: ROOT, stdio: "pipe" });
+
+    assert.ok(fs.readFileSync(output, "utf8") === fs.readFileSync(COMMITTED, "utf8"),
+        "O CSS gerado difere do versionado: rode `npm run build:css` e inclua public/style/tailwind.css no commit");
+});
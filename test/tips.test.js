@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tipsFor, createRandom, drawTip } = require("../server/api/tips");
+
+// Sorteia até esgotar as dicas, passando as já exibidas como a roleta faz
+function drawAll(options) {
+    const sequence = [];
+    for (;;) {
+        const { tip, remaining } = drawTip({ ...options, exclude: sequence });
+        if (!tip) return sequence;
+        sequence.push(tip.id);
+        assert.equal(remaining, tipsFor(options.locale).tips.length - sequence.length - (options.skipped || 0));
+    }
+}
+
+test("o gerador com semente repete a mesma sequência em [0, 1)", () => {
+    const first = createRandom("roleta");
+    const second = createRandom("roleta");
+    const values = Array.from({ length: 50 }, () => first());
+
+    assert.deepEqual(Array.from({ length: 50 }, () => second()), values);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.notDeepEqual(Array.from({ length: 50 }, createRandom("outra")), values);
+});
+
+test("a mesma semente sorteia a mesma sequência, sem repetir dicas", () => {
+    const sequence = drawAll({ seed: "semente-fixa" });
+
+    assert.deepEqual(drawAll({ seed: "semente-fixa" }), sequence);
+    assert.equal(new Set(sequence).size, sequence.length);
+    assert.deepEqual([...sequence].sort(), tipsFor().tips.map(tip => tip.id).sort());
+});
+
+test("sementes diferentes sorteiam sequências diferentes", () => {
+    assert.notDeepEqual(drawAll({ seed: "a" }), drawAll({ seed: "b" }));
+});
+
+test("sem semente, devolve uma nova que reproduz o sorteio", () => {
+    const first = drawTip();
+    assert.match(first.seed, /^[0-9a-f]{16}$/);
+    assert.equal(drawTip({ seed: first.seed }).tip.id, first.tip.id);
+});
+
+test("o diagnóstico exclui dicas de outro sistema ou veredito", () => {
+    const context = { os: "macos", bottlenecks: ["gpu"], verdicts: ["compatible"] };
+    const excluded = tipsFor().tips.filter(tip =>
+        (tip.os && !tip.os.includes(context.os)) || (tip.verdicts && !tip.verdicts.includes("compatible")));
+    assert.ok(excluded.length > 0);
+
+    const sequence = drawAll({ seed: "mac", context, skipped: excluded.length });
+    assert.equal(new Set(sequence).size, sequence.length);
+    assert.equal(sequence.length, tipsFor().tips.length - excluded.length);
+    assert.ok(excluded.every(tip => !sequence.includes(tip.id)));
+});
+
+test("dicas sobre um gargalo saem antes, em média", () => {
+    const context = { os: "windows10", bottlenecks: ["ram"], verdicts: ["incompatible"] };
+    const ramTips = new Set(tipsFor().tips.filter(tip => tip.components?.includes("ram")).map(tip => tip.id));
+    const share = ramTips.size / tipsFor().tips.length;
+
+    let hits = 0;
+    const draws = 200;
+    for (let i = 0; i < draws; i++) {
+        if (ramTips.has(drawTip({ seed: `gargalo-${i}`, context }).tip.id)) hits++;
+    }
+    assert.ok(hits / draws > share * 2, `${hits} de ${draws} sorteios sobre RAM`);
+});
+
+test("os textos seguem o idioma, com os mesmos ids", () => {
+    const sequence = drawAll({ seed: "idioma", locale: "en" });
+    assert.deepEqual(sequence, drawAll({ seed: "idioma", locale: "pt-BR" }));
+    assert.notEqual(drawTip({ seed: "idioma", locale: "en" }).tip.text, drawTip({ seed: "idioma" }).tip.text);
+});